@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const path = require('path');
+const Cardano = require('@emurgo/cardano-serialization-lib-node');
+// The KMS backends and sealing are shared with the XRPL TEE
+const { KeyManager, RoflKmsBackend, LocalFileKmsBackend, createKmsBackend } = require('../xrpl-tee/kms');
+
+const SEALING_KEY_ID = 'cardano-escrow-tee/sealing-key/v1';
+
+/**
+ * Cardano signing through the key manager. Each escrow's BIP32 root key is derived
+ * from the sealed master secret and only exists while an address or witness is computed.
+ */
+class CardanoKeyManager extends KeyManager {
+    #masterSecret = null;
+
+    constructor(config = {}) {
+        super({ keyId: SEALING_KEY_ID, ...config });
+        this.masterSecretPath = path.join(config.dataDir, 'master.secret.sealed');
+    }
+
+    async open() {
+        await super.open();
+        this.#masterSecret = this.loadOrCreateSecret(this.masterSecretPath);
+    }
+
+    #rootKey(escrowId) {
+        if (!this.#masterSecret) {
+            throw new Error('Key manager is not open');
+        }
+        const entropy = crypto.createHmac('sha256', this.#masterSecret).update(`escrow/${escrowId}`).digest();
+        return Cardano.Bip32PrivateKey.from_bip39_entropy(entropy, Buffer.from(''));
+    }
+
+    // Payment key at m/1852'/1815'/0'/0/0
+    #paymentKey(escrowId) {
+        return this.#rootKey(escrowId)
+            .derive(1852 | 0x80000000)  // purpose
+            .derive(1815 | 0x80000000)  // coin type for ADA
+            .derive(0 | 0x80000000)     // account index
+            .derive(0)
+            .derive(0);
+    }
+
+    // Public part of an escrow account
+    deriveAccount(escrowId) {
+        const publicKey = this.#paymentKey(escrowId).to_public().to_raw_key();
+        const address = Cardano.BaseAddress.new(
+            0,
+            Cardano.StakeCredential.from_keyhash(publicKey.hash()),
+            Cardano.StakeCredential.from_keyhash(publicKey.hash())
+        ).to_address().to_bech32();
+        return {
+            address,
+            publicKeyHex: Buffer.from(publicKey.as_bytes()).toString('hex')
+        };
+    }
+
+    // vkey witness for a transaction body hash
+    signTxHash(escrowId, txHash) {
+        return Cardano.make_vkey_witness(txHash, this.#paymentKey(escrowId).to_raw_key());
+    }
+}
+
+module.exports = {
+    KeyManager,
+    CardanoKeyManager,
+    RoflKmsBackend,
+    LocalFileKmsBackend,
+    createKmsBackend
+};
@@ -1,9 +1,10 @@
 const crypto = require('crypto');
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const { keccak256 } = require('ethers')
 const Cardano = require('@emurgo/cardano-serialization-lib-node');
-const crypto = require('crypto');
+const { CardanoKeyManager, createKmsBackend } = require('./keyManager');
 // Fund the escrow wallet
 const axios = require('axios');
 const BLOCKFROST_API_KEY = process.env.BLOCKFROST_API_KEY;
@@ -17,12 +18,18 @@ class CardanoEscrowTEE {
             //network: config.network || 'wss://s.altnet.rippletest.net:51233', // testnet by default
             port: config.port || 3000,
             rescueDelay: config.rescueDelay || 86400 * 7, // 7 days in seconds
+            dataDir: config.dataDir || path.join(__dirname, 'data'),
+            kms: config.kms, // 'rofl' | 'local', auto-detected when unset
             ...config
         };
 
         // Store active escrows
         this.escrows = new Map();
-        this.walletSeeds = new Map(); // Securely store wallet seeds
+        // Escrow keys are derived from a master secret sealed by the enclave KMS
+        this.keyManager = new CardanoKeyManager({
+            backend: createKmsBackend({ kms: this.config.kms, dataDir: this.config.dataDir }),
+            dataDir: this.config.dataDir
+        });
 
         this.app = express();
         this.setupMiddleware();
@@ -39,6 +46,7 @@ class CardanoEscrowTEE {
     }
 
     async initialize() {
+        await this.keyManager.open();
         /*try {
             this.client = new xrpl.Client(this.config.network);
             await this.client.connect();
@@ -49,32 +57,14 @@ class CardanoEscrowTEE {
             return false;
         }*/
         //console.log("Nothing to intialize for Cardano");
+        return true;
     }
 
-    // Generate a deterministic Cardano wallet from static string
-    async  generateCardanoEscrowWallet(staticSeedPhrase = 'cardano-escrow-wallet') {
-        //const staticSeedPhrase = 'cardano-escrow-wallet'; // your static secret
-        const seed = crypto.createHash('sha256').update(staticSeedPhrase).digest(); // 32 bytes
-
-        const entropy = seed; // or seed.slice(0, 32);
-        const rootKey = Cardano.Bip32PrivateKey.from_bip39_entropy(entropy, Buffer.from(''));
-
-        const accountKey = rootKey.derive(1852 | 0x80000000)  // purpose
-            .derive(1815 | 0x80000000)                        // coin type for ADA
-            .derive(0 | 0x80000000);                         // account index
-
-        const utxoKey = accountKey.derive(0).derive(0).to_public();
-        const baseAddress = Cardano.BaseAddress.new(
-            0,
-            Cardano.StakeCredential.from_keyhash(utxoKey.to_raw_key().hash()),
-            Cardano.StakeCredential.from_keyhash(utxoKey.to_raw_key().hash())
-        ).to_address().to_bech32();
-        console.log("Address of generated escrow wallet:", baseAddress)
-        return {
-            address: baseAddress,
-            rootKeyBech32: rootKey.to_bech32(), // keep this safe, contains private keys
-            publicKeyHex: Buffer.from(utxoKey.to_raw_key().as_bytes()).toString('hex')
-        };
+    // Derive the escrow wallet from the sealed master secret, private keys stay in the key manager
+    async generateCardanoEscrowWallet(escrowId) {
+        const account = this.keyManager.deriveAccount(escrowId);
+        console.log("Address of generated escrow wallet:", account.address)
+        return account;
     }
 
     // Hash function equivalent to Solidity keccak256
@@ -132,6 +122,84 @@ class CardanoEscrowTEE {
         }
     }
 
+    /**
+     * Pay `outputs` ({ address, lovelace }) from the escrow address. The transaction is
+     * signed through the key manager and submitted with Blockfrost.
+     * @returns {Promise<string>} Transaction hash
+     */
+    async submitFromEscrow(escrow, outputs) {
+        const senderAddress = escrow.wallet.address;
+        const payouts = outputs.filter(output => output.lovelace > 0n);
+        const totalOutput = payouts.reduce((sum, output) => sum + output.lovelace, 0n);
+
+        // Fetch UTXOs
+        const utxosRes = await axios.get(`${BLOCKFROST_API_URL}/addresses/${senderAddress}/utxos`, {
+            headers: { project_id: BLOCKFROST_API_KEY }
+        });
+
+        // Build tx inputs
+        const txBuilderCfg = Cardano.TransactionBuilderConfigBuilder.new()
+            .fee_algo(Cardano.LinearFee.new(Cardano.BigNum.from_str('44'), Cardano.BigNum.from_str('155381')))
+            .coins_per_utxo_word(Cardano.BigNum.from_str('34482'))
+            .pool_deposit(Cardano.BigNum.from_str('500000000'))
+            .key_deposit(Cardano.BigNum.from_str('2000000'))
+            .max_value_size(5000)
+            .max_tx_size(16384)
+            .build();
+
+        const txBuilder = Cardano.TransactionBuilder.new(txBuilderCfg);
+
+        let totalInput = BigInt(0);
+        for (const utxo of utxosRes.data) {
+            const input = Cardano.TransactionUnspentOutput.new(
+                Cardano.TransactionInput.new(
+                    Cardano.TransactionHash.from_bytes(Buffer.from(utxo.tx_hash, 'hex')),
+                    utxo.output_index
+                ),
+                Cardano.TransactionOutput.new(
+                    Cardano.Address.from_bech32(utxo.address),
+                    Cardano.Value.new(Cardano.BigNum.from_str(utxo.amount[0].quantity))
+                )
+            );
+            txBuilder.add_input(Cardano.Address.from_bech32(senderAddress), input.input(), input.output().amount());
+            totalInput += BigInt(utxo.amount[0].quantity);
+            if (totalInput >= totalOutput + 200000n) break; // Stop once we have enough
+        }
+
+        if (totalInput < totalOutput + 200000n) {
+            throw new Error('Not enough balance in escrow wallet');
+        }
+
+        for (const output of payouts) {
+            txBuilder.add_output(Cardano.TransactionOutput.new(
+                Cardano.Address.from_bech32(output.address),
+                Cardano.Value.new(Cardano.BigNum.from_str(output.lovelace.toString()))
+            ));
+        }
+
+        // Set fee and change
+        txBuilder.set_ttl(3600);
+        txBuilder.add_change_if_needed(Cardano.Address.from_bech32(senderAddress));
+
+        // Sign the body hash with the escrow key, which never leaves the key manager
+        const txBody = txBuilder.build();
+        const witnesses = Cardano.TransactionWitnessSet.new();
+        const vkeyWitnesses = Cardano.Vkeywitnesses.new();
+        vkeyWitnesses.add(this.keyManager.signTxHash(escrow.id, Cardano.hash_transaction(txBody)));
+        witnesses.set_vkeys(vkeyWitnesses);
+
+        const signedTx = Cardano.Transaction.new(txBody, witnesses);
+
+        // Submit to Blockfrost
+        const submitRes = await axios.post(`${BLOCKFROST_API_URL}/tx/submit`, Buffer.from(signedTx.to_bytes()), {
+            headers: {
+                'Content-Type': 'application/cbor',
+                project_id: BLOCKFROST_API_KEY
+            }
+        });
+        return submitRes.data;
+    }
+
     setupRoutes() {
         // Create new destination escrow
         this.app.post('/escrow/create-dst', async (req, res) => {
@@ -168,15 +236,14 @@ class CardanoEscrowTEE {
                     deployedAt,
                     wallet: {
                         address: escrowWallet.address,
-                        publicKey: escrowWallet.publicKey
+                        publicKey: escrowWallet.publicKeyHex
                     },
                     status: 'created',
                     type: type
                 };
 
-                // Store escrow and wallet seed securely
+                // Only public data is stored, the key is re-derived by the key manager
                 this.escrows.set(escrowId, escrow);
-                this.walletSeeds.set(escrowId, escrowWallet.seed);
 
                 res.json({
                     escrowId,
@@ -287,93 +354,11 @@ this.app.post('/escrow/:escrowId/withdraw', async (req, res) => {
             this.validateTimeWindow(escrow, this.TimeStages.DstPublicWithdrawal, this.TimeStages.DstCancellation);
         }
 
-        // Recover escrow wallet
-        const walletSeed = this.walletSeeds.get(escrowId);
-        const wallet = this.recoverCardanoWalletFromSeed(walletSeed); // Your own function
-        const senderAddress = wallet.address;
-
-        // Fetch UTXOs
-        const utxosRes = await axios.get(`${BLOCKFROST_API_URL}/addresses/${senderAddress}/utxos`, {
-            headers: { project_id: BLOCKFROST_API_KEY }
-        });
-
-        // Build tx inputs
-        const txBuilderCfg = Cardano.TransactionBuilderConfigBuilder.new()
-            .fee_algo(Cardano.LinearFee.new(Cardano.BigNum.from_str('44'), Cardano.BigNum.from_str('155381')))
-            .coins_per_utxo_word(Cardano.BigNum.from_str('34482'))
-            .pool_deposit(Cardano.BigNum.from_str('500000000'))
-            .key_deposit(Cardano.BigNum.from_str('2000000'))
-            .max_value_size(5000)
-            .max_tx_size(16384)
-            .build();
-
-        const txBuilder = Cardano.TransactionBuilder.new(txBuilderCfg);
-
-        let totalInput = BigInt(0);
-        const escrowAmount = BigInt(escrow.amount);
-        const depositAmount = BigInt(escrow.safetyDeposit);
-        const totalOutput = escrowAmount + depositAmount;
-
-        for (const utxo of utxosRes.data) {
-            const input = Cardano.TransactionUnspentOutput.new(
-                Cardano.TransactionInput.new(
-                    Cardano.TransactionHash.from_bytes(Buffer.from(utxo.tx_hash, 'hex')),
-                    utxo.output_index
-                ),
-                Cardano.TransactionOutput.new(
-                    Cardano.Address.from_bech32(utxo.address),
-                    Cardano.Value.new(Cardano.BigNum.from_str(utxo.amount[0].quantity))
-                )
-            );
-            txBuilder.add_input(wallet.publicKey, input.input(), input.output().amount());
-            totalInput += BigInt(utxo.amount[0].quantity);
-            if (totalInput >= totalOutput + 200000n) break; // Stop once we have enough
-        }
-
-        if (totalInput < totalOutput + 200000n) {
-            return res.status(400).json({ error: 'Not enough balance in escrow wallet' });
-        }
-
-        // Add output to maker
-        txBuilder.add_output(Cardano.TransactionOutput.new(
-            Cardano.Address.from_bech32(escrow.maker),
-            Cardano.Value.new(Cardano.BigNum.from_str(escrowAmount.toString()))
-        ));
-
-        // Add output to caller
-        if (depositAmount > 0) {
-            txBuilder.add_output(Cardano.TransactionOutput.new(
-                Cardano.Address.from_bech32(callerAddress),
-                Cardano.Value.new(Cardano.BigNum.from_str(depositAmount.toString()))
-            ));
-        }
-
-        // Set fee and change
-        txBuilder.set_ttl(3600);
-        txBuilder.add_change_if_needed(Cardano.Address.from_bech32(senderAddress));
-
-        // Build and sign tx
-        const txBody = txBuilder.build();
-        const txHash = Cardano.hash_transaction(txBody);
-        const witnesses = Cardano.TransactionWitnessSet.new();
-        const vkeyWitnesses = Cardano.Vkeywitnesses.new();
-
-        const vkeyWitness = Cardano.make_vkey_witness(txHash, wallet.privateKey.to_raw_key());
-        vkeyWitnesses.add(vkeyWitness);
-        witnesses.set_vkeys(vkeyWitnesses);
-
-        const signedTx = Cardano.Transaction.new(txBody, witnesses);
-
-        // Submit to Blockfrost
-        const txBytes = Buffer.from(signedTx.to_bytes()).toString('hex');
-        const submitRes = await axios.post(`${BLOCKFROST_API_URL}/tx/submit`, Buffer.from(txBytes, 'hex'), {
-            headers: {
-                'Content-Type': 'application/cbor',
-                project_id: BLOCKFROST_API_KEY
-            }
-        });
-
-        const txHashHex = submitRes.data;
+        // Maker gets the amount, the caller the safety deposit
+        const txHashHex = await this.submitFromEscrow(escrow, [
+            { address: escrow.maker, lovelace: BigInt(escrow.amount) },
+            { address: callerAddress, lovelace: BigInt(escrow.safetyDeposit) }
+        ]);
 
         // Mark escrow as completed
         escrow.status = 'withdrawn';
@@ -395,7 +380,6 @@ this.app.post('/escrow/:escrowId/withdraw', async (req, res) => {
         // Cancel destination escrow
         this.app.post('/escrow/:escrowId/cancel', async (req, res) => {
             // This happens if maker does not reveal the secret in time.
-            // TODO: implement for Cardano, still in progress
             try {
                 const { escrowId } = req.params;
                 const { callerAddress } = req.body;
@@ -417,88 +401,25 @@ this.app.post('/escrow/:escrowId/withdraw', async (req, res) => {
                 this.validateTimeWindow(escrow, this.TimeStages.DstCancellation, null, 125);
 
                 // Execute cancellation based on escrow type
-                const walletSeed = this.walletSeeds.get(escrowId);
-                //const wallet = xrpl.Wallet.fromSeed(walletSeed);
-                const wallet = await this.generateCardanoEscrowWallet(escrowId); // Use the generated wallet, always the same seed - ONLY FOR THE DEMO
-
-                let cancelTxs = [];
-
+                let payouts;
                 if (escrow.type === 'dst') {
                     // DST escrow: return everything to taker
-                    const payment = {
-                        TransactionType: 'Payment',
-                        Account: wallet.address,
-                        Destination: escrow.taker,
-                        Amount: (escrow.amount + escrow.safetyDeposit).toString()
-                    };
-
-                    const prepared = await this.client.autofill(payment);
-                    const signed = wallet.sign(prepared);
-                    const result = await this.client.submitAndWait(signed.tx_blob);
-
-                    if (result.result.meta.TransactionResult === 'tesSUCCESS') {
-                        cancelTxs.push({
-                            recipient: escrow.taker,
-                            amount: (escrow.amount + escrow.safetyDeposit).toString(),
-                            txHash: result.result.hash
-                        });
-                    } else {
-                        throw new Error(`Payment to taker failed: ${result.result.meta.TransactionResult}`);
-                    }
+                    payouts = [{ address: escrow.taker, lovelace: escrow.amount + escrow.safetyDeposit }];
                 } else if (escrow.type === 'src') {
                     // SRC escrow: return amount to maker, safety deposit to taker
-
-                    // Return amount to maker
-                    if (escrow.amount > 0) {
-                        const makerPayment = {
-                            TransactionType: 'Payment',
-                            Account: wallet.address,
-                            Destination: escrow.maker,
-                            Amount: escrow.amount.toString()
-                        };
-
-                        const preparedMaker = await this.client.autofill(makerPayment);
-                        const signedMaker = wallet.sign(preparedMaker);
-                        const makerResult = await this.client.submitAndWait(signedMaker.tx_blob);
-
-                        if (makerResult.result.meta.TransactionResult === 'tesSUCCESS') {
-                            cancelTxs.push({
-                                recipient: escrow.maker,
-                                amount: escrow.amount.toString(),
-                                txHash: makerResult.result.hash
-                            });
-                        } else {
-                            throw new Error(`Payment to maker failed: ${makerResult.result.meta.TransactionResult}`);
-                        }
-                    }
-
-                    // Return safety deposit to taker
-                    if (escrow.safetyDeposit > 0) {
-                        const takerPayment = {
-                            TransactionType: 'Payment',
-                            Account: wallet.address,
-                            Destination: escrow.taker,
-                            Amount: escrow.safetyDeposit.toString()
-                        };
-
-                        const preparedTaker = await this.client.autofill(takerPayment);
-                        const signedTaker = wallet.sign(preparedTaker);
-                        const takerResult = await this.client.submitAndWait(signedTaker.tx_blob);
-
-                        if (takerResult.result.meta.TransactionResult === 'tesSUCCESS') {
-                            cancelTxs.push({
-                                recipient: escrow.taker,
-                                amount: escrow.safetyDeposit.toString(),
-                                txHash: takerResult.result.hash
-                            });
-                        } else {
-                            throw new Error(`Safety deposit payment to taker failed: ${takerResult.result.meta.TransactionResult}`);
-                        }
-                    }
+                    payouts = [
+                        { address: escrow.maker, lovelace: escrow.amount },
+                        { address: escrow.taker, lovelace: escrow.safetyDeposit }
+                    ];
                 } else {
                     throw new Error(`Unknown escrow type: ${escrow.type}`);
                 }
 
+                const txHash = await this.submitFromEscrow(escrow, payouts);
+                const cancelTxs = payouts
+                    .filter(payout => payout.lovelace > 0n)
+                    .map(payout => ({ recipient: payout.address, amount: payout.lovelace.toString(), txHash }));
+
                 escrow.status = 'cancelled';
                 escrow.cancelTxs = cancelTxs;
 
@@ -541,30 +462,15 @@ this.app.post('/escrow/:escrowId/withdraw', async (req, res) => {
                 }
 
                 // Execute rescue
-                const walletSeed = this.walletSeeds.get(escrowId);
-                //const wallet = xrpl.Wallet.fromSeed(walletSeed);
-                const wallet = await this.generateCardanoEscrowWallet(escrowId); // Use the generated wallet, always the same seed - ONLY FOR THE DEMO
-
-                const payment = {
-                    TransactionType: 'Payment',
-                    Account: wallet.address,
-                    Destination: callerAddress,
-                    Amount: amount
-                };
+                const txHash = await this.submitFromEscrow(escrow, [
+                    { address: callerAddress, lovelace: BigInt(amount) }
+                ]);
 
-                const prepared = await this.client.autofill(payment);
-                const signed = wallet.sign(prepared);
-                const result = await this.client.submitAndWait(signed.tx_blob);
-
-                if (result.result.meta.TransactionResult === 'tesSUCCESS') {
-                    res.json({
-                        message: 'Funds rescued successfully',
-                        txHash: result.result.hash,
-                        amount: amount
-                    });
-                } else {
-                    throw new Error(`Transaction failed: ${result.result.meta.TransactionResult}`);
-                }
+                res.json({
+                    message: 'Funds rescued successfully',
+                    txHash,
+                    amount: amount
+                });
 
             } catch (error) {
                 console.error('Error rescuing funds:', error);
@@ -639,7 +545,9 @@ if (require.main === module) {
     const server = new CardanoEscrowTEE({
         //network: process.env.XRPL_NETWORK || 'wss://s.altnet.rippletest.net:51233',
         port: process.env.PORT || 3000,
-        rescueDelay: parseInt(process.env.RESCUE_DELAY) || 60 * 30
+        rescueDelay: parseInt(process.env.RESCUE_DELAY) || 60 * 30,
+        dataDir: process.env.ESCROW_DATA_DIR || path.join(__dirname, 'data'),
+        kms: process.env.KMS_BACKEND
     });
 
     server.start().catch(console.error);
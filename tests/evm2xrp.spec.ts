@@ -17,6 +17,7 @@ import {
 } from 'ethers'
 import {uint8ArrayToHex, UINT_40_MAX} from '@1inch/byte-utils'
 import assert from 'node:assert'
+import {fileURLToPath} from 'node:url'
 import {ChainConfig, config} from './config'
 import {Wallet} from './wallet'
 import {Resolver} from './resolver'
@@ -25,6 +26,7 @@ import factoryContract from '../dist/contracts/TestEscrowFactory.sol/TestEscrowF
 import resolverContract from '../dist/contracts/Resolver.sol/Resolver.json'
 import * as xrplUtils from './xrpUtils'
 import * as xrplClient from '../xrpl-tee/client'
+import {measureSources} from '../xrpl-tee/attestation'
 
 const {Address} = Sdk
 
@@ -60,8 +62,24 @@ describe('Resolving example', () => {
 
     let srcTimestamp: bigint
 
+    // The local TEE quotes with the mock provider, whose measurement is the hash of its sources.
+    // Receipts are only accepted from the identity attested against this policy.
+    const enclavePolicy = {
+        measurements: [measureSources(fileURLToPath(new URL('../xrpl-tee', import.meta.url)))],
+        allowMock: true
+    }
+
+    // The TEE runs with CLOCK_SOURCE=test so its timelocks move together with the forks
+    const teeAdmin = new xrplClient.XRPLEscrowClient({
+        baseUrl: 'http://localhost:3000',
+        adminToken: process.env.TEE_ADMIN_TOKEN
+    })
+
     async function increaseTime(t: number): Promise<void> {
-        await Promise.all([src, dst].map((chain) => chain.provider.send('evm_increaseTime', [t])))
+        await Promise.all([
+            ...[src, dst].map((chain) => chain.provider.send('evm_increaseTime', [t])),
+            teeAdmin.advanceClock(t)
+        ])
     }
 
     beforeAll(async () => {
@@ -140,7 +158,8 @@ describe('Resolving example', () => {
             await xrplUtils.refuelWalletFromFaucet(xrpTaker)
 
             const xrpClient = new xrplClient.XRPLEscrowClient({
-                baseUrl: 'http://localhost:3000'
+                baseUrl: 'http://localhost:3000',
+                enclavePolicy
             })
 
             // MAKER SIDE: User creates and signs an order
@@ -229,6 +248,7 @@ describe('Resolving example', () => {
                 amount: order.takingAmount.toString(),
                 safetyDeposit: order.escrowExtension.dstSafetyDeposit.toString(),
                 timelocks: order.escrowExtension.timeLocks.build().toString(),
+                srcCancellationTimestamp: srcEscrowEvent[0].timeLocks.toSrcTimeLocks().privateCancellation.toString(),
                 type: 'dst'
             }
             console.log("Creating escrow on XRPL", createEscrowPayload)
@@ -258,7 +278,7 @@ describe('Resolving example', () => {
             // Withdraw funds from dst escrow to user
             console.log(`[XRPL]`, `Withdrawing funds for user from ${xrpEscrow.escrowId}`)
 
-            const xrplWithdrawal = await xrpClient.withdraw(xrpEscrow.escrowId, secret, xrpTaker.address, false)
+            const xrplWithdrawal = await xrpClient.withdraw(xrpEscrow.escrowId, secret, xrpTaker, false)
             const xrplWithdrawalExplorer = `https://testnet.xrpl.org/transactions/${xrplWithdrawal.txHash}`
             console.log(`[XRPL]`, `Withdrew funds for user from ${xrpEscrow.walletAddress}`, xrplWithdrawalExplorer)
 
@@ -296,7 +316,8 @@ describe('Resolving example', () => {
             await xrplUtils.refuelWalletFromFaucet(xrpTaker)
 
             const xrpClient = new xrplClient.XRPLEscrowClient({
-                baseUrl: 'http://localhost:3000'
+                baseUrl: 'http://localhost:3000',
+                enclavePolicy
             })
 
             // MAKER SIDE: User creates and signs an order
@@ -385,6 +406,7 @@ describe('Resolving example', () => {
                 amount: order.takingAmount.toString(),
                 safetyDeposit: order.escrowExtension.dstSafetyDeposit.toString(),
                 timelocks: order.escrowExtension.timeLocks.build().toString(),
+                srcCancellationTimestamp: srcEscrowEvent[0].timeLocks.toSrcTimeLocks().privateCancellation.toString(),
                 type: 'dst'
             }
             console.log("Creating escrow on XRPL", createEscrowPayload)
@@ -415,7 +437,7 @@ describe('Resolving example', () => {
             // Cancel escrow on XRPL
             console.log(`[XRPL]`, `Cancelling escrow for ID: ${xrpEscrow.escrowId}`)
 
-            const xrplWithdrawal = await xrpClient.cancel(xrpEscrow.escrowId, xrpTaker.address)
+            const xrplWithdrawal = await xrpClient.cancel(xrpEscrow.escrowId, xrpTaker)
             const xrplWithdrawalExplorer = `https://testnet.xrpl.org/transactions/${xrplWithdrawal.txHash}`
             console.log(`[XRPL]`, `Returned funds for taker from escrow ${xrpEscrow.walletAddress}`, xrplWithdrawalExplorer)
 
@@ -17,6 +17,7 @@ import {
 } from 'ethers'
 import {uint8ArrayToHex, UINT_40_MAX} from '@1inch/byte-utils'
 import assert from 'node:assert'
+import {fileURLToPath} from 'node:url'
 import {ChainConfig, config} from './config'
 import {Wallet} from './wallet'
 import {Resolver} from './resolver'
@@ -25,6 +26,7 @@ import factoryContract from '../dist/contracts/TestEscrowFactory.sol/TestEscrowF
 import resolverContract from '../dist/contracts/Resolver.sol/Resolver.json'
 import * as xrplUtils from './xrpUtils'
 import * as xrplClient from '../xrpl-tee/client'
+import {measureSources} from '../xrpl-tee/attestation'
 
 const {Address} = Sdk
 
@@ -60,8 +62,24 @@ describe('Resolving example', () => {
 
     let srcTimestamp: bigint
 
+    // The local TEE quotes with the mock provider, whose measurement is the hash of its sources.
+    // Receipts are only accepted from the identity attested against this policy.
+    const enclavePolicy = {
+        measurements: [measureSources(fileURLToPath(new URL('../xrpl-tee', import.meta.url)))],
+        allowMock: true
+    }
+
+    // The TEE runs with CLOCK_SOURCE=test so its timelocks move together with the forks
+    const teeAdmin = new xrplClient.XRPLEscrowClient({
+        baseUrl: 'http://localhost:3000',
+        adminToken: process.env.TEE_ADMIN_TOKEN
+    })
+
     async function increaseTime(t: number): Promise<void> {
-        await Promise.all([src, dst].map((chain) => chain.provider.send('evm_increaseTime', [t])))
+        await Promise.all([
+            ...[src, dst].map((chain) => chain.provider.send('evm_increaseTime', [t])),
+            teeAdmin.advanceClock(t)
+        ])
     }
 
     beforeAll(async () => {
@@ -140,7 +158,8 @@ describe('Resolving example', () => {
             await xrplUtils.refuelWalletFromFaucet(xrpTaker)
 
             const xrpClient = new xrplClient.XRPLEscrowClient({
-                baseUrl: 'http://localhost:3000'
+                baseUrl: 'http://localhost:3000',
+                enclavePolicy
             })
             
 
@@ -247,7 +266,7 @@ describe('Resolving example', () => {
                 timelocks: order.escrowExtension.timeLocks.build().toString(),
             }
             console.log("Creating escrow on XRPL src", createEscrowPayload)
-            const xrpEscrow = await xrpClient.createDestinationEscrow(createEscrowPayload)
+            const xrpEscrow = await xrpClient.createSourceEscrow(createEscrowPayload)
             console.log("Created escrow on XRPL src", xrpEscrow)
 
             // Maker deposits funds to the escrow on the src chain
@@ -255,14 +274,15 @@ describe('Resolving example', () => {
             const xrplExplorer = `https://testnet.xrpl.org/transactions/${xrpDepositHash}`
             console.log("Maker deposited funds", xrplExplorer)
 
-            // Taker deposits the fee
-            const xrpFeeDepositHash = await xrplUtils.sendXRP(xrpTaker, xrpEscrow.walletAddress, createEscrowPayload.safetyDeposit)
+            // Taker deposits the rest of the required XRP: the safety deposit, the escrow account reserve and fees
+            const takerDeposit = (BigInt(xrpEscrow.requiredDeposit.xrp) - BigInt(createEscrowPayload.amount)).toString()
+            const xrpFeeDepositHash = await xrplUtils.sendXRP(xrpTaker, xrpEscrow.walletAddress, takerDeposit)
             const xrplExplorer2 = `https://testnet.xrpl.org/transactions/${xrpFeeDepositHash}`
             console.log("Taker deposited the fee", xrplExplorer2)
 
             // Check if the escrow is funded
             const escrow = await xrpClient.fundEscrow(xrpEscrow.escrowId, {
-                fromAddress: xrpMaker.address,
+                fromAddress: [xrpMaker.address, xrpTaker.address].join(','),
                 txHash: [xrpDepositHash, xrpFeeDepositHash].join(',')
             })
             console.log("Escrow funded", escrow)
@@ -276,7 +296,7 @@ describe('Resolving example', () => {
             )
 
             // withdraw from SRC XRPL escrow
-            const xrplWithdrawal = await xrpClient.withdraw(xrpEscrow.escrowId, secret, xrpTaker.address, false)
+            const xrplWithdrawal = await xrpClient.withdraw(xrpEscrow.escrowId, secret, xrpTaker, false)
             const xrplWithdrawalExplorer = `https://testnet.xrpl.org/transactions/${xrplWithdrawal.txHash}`
             console.log(`[XRPL]`, `Withdrew funds for user from ${xrpEscrow.walletAddress}`, xrplWithdrawalExplorer)
 
@@ -302,7 +322,8 @@ describe('Resolving example', () => {
             await xrplUtils.refuelWalletFromFaucet(xrpTaker)
 
             const xrpClient = new xrplClient.XRPLEscrowClient({
-                baseUrl: 'http://localhost:3000'
+                baseUrl: 'http://localhost:3000',
+                enclavePolicy
             })
             
 
@@ -406,11 +427,10 @@ describe('Resolving example', () => {
                 token: "0x0000000000000000000000000000000000000000",
                 amount: order.takingAmount.toString(),
                 safetyDeposit: order.escrowExtension.dstSafetyDeposit.toString(),
-                timelocks: order.escrowExtension.timeLocks.build().toString(),
-                type: 'src'
+                timelocks: order.escrowExtension.timeLocks.build().toString()
             }
             console.log("Creating escrow on XRPL src", createEscrowPayload)
-            const xrpEscrow = await xrpClient.createDestinationEscrow(createEscrowPayload)
+            const xrpEscrow = await xrpClient.createSourceEscrow(createEscrowPayload)
             console.log("Created escrow on XRPL src", xrpEscrow)
 
             // Maker deposits funds to the escrow on the src chain
@@ -418,14 +438,15 @@ describe('Resolving example', () => {
             const xrplExplorer = `https://testnet.xrpl.org/transactions/${xrpDepositHash}`
             console.log("Maker deposited funds", xrplExplorer)
 
-            // Taker deposits the fee
-            const xrpFeeDepositHash = await xrplUtils.sendXRP(xrpTaker, xrpEscrow.walletAddress, createEscrowPayload.safetyDeposit)
+            // Taker deposits the rest of the required XRP: the safety deposit, the escrow account reserve and fees
+            const takerDeposit = (BigInt(xrpEscrow.requiredDeposit.xrp) - BigInt(createEscrowPayload.amount)).toString()
+            const xrpFeeDepositHash = await xrplUtils.sendXRP(xrpTaker, xrpEscrow.walletAddress, takerDeposit)
             const xrplExplorer2 = `https://testnet.xrpl.org/transactions/${xrpFeeDepositHash}`
             console.log("Taker deposited the fee", xrplExplorer2)
 
             // Check if the escrow is funded
             const escrow = await xrpClient.fundEscrow(xrpEscrow.escrowId, {
-                fromAddress: xrpMaker.address,
+                fromAddress: [xrpMaker.address, xrpTaker.address].join(','),
                 txHash: [xrpDepositHash, xrpFeeDepositHash].join(',')
             })
             console.log("Escrow funded", escrow)
@@ -440,7 +461,7 @@ describe('Resolving example', () => {
             
             console.log(`[XRPL]`, `Cancelling escrow for ID: ${xrpEscrow.escrowId}`)
 
-            const xrplCancellation = await xrpClient.cancel(xrpEscrow.escrowId, xrpTaker.address)
+            const xrplCancellation = await xrpClient.cancel(xrpEscrow.escrowId, xrpTaker)
             console.log(`[XRPL]`, `Cancellation result:`, xrplCancellation)
             
             // Print explorer links for all cancellation transactions
@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const REPORT_DATA_DOMAIN = 'xrpl-escrow-tee/attestation/v1';
+const TSM_REPORT_DIR = '/sys/kernel/config/tsm/report';
+
+// TDX quote v4 layout: 48 byte header followed by the TD report body
+const TDX_QUOTE_HEADER_SIZE = 48;
+const TDX_BODY_OFFSETS = {
+    mrtd: 136,
+    rtmr0: 328,
+    rtmr1: 376,
+    rtmr2: 424,
+    rtmr3: 472,
+    reportData: 520
+};
+const TDX_MEASUREMENT_SIZE = 48;
+const REPORT_DATA_SIZE = 64;
+
+// 64 bytes of report data binding the TEE identity key to a client nonce
+function computeReportData(identityPublicKey, nonce) {
+    return crypto.createHash('sha512')
+        .update(REPORT_DATA_DOMAIN)
+        .update(Buffer.from(identityPublicKey.replace(/^0x/, ''), 'hex'))
+        .update(Buffer.from(nonce.replace(/^0x/, ''), 'hex'))
+        .digest();
+}
+
+// sha256 over the server sources, used as the code measurement outside of TDX
+function measureSources(dir) {
+    const hash = crypto.createHash('sha256');
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+    for (const file of files) {
+        hash.update(file).update(fs.readFileSync(path.join(dir, file)));
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Quote provider for development and tests on a plain Linux machine.
+ * Quotes are signed with an ephemeral Ed25519 key and prove nothing about the hardware.
+ */
+class MockQuoteProvider {
+    constructor(config = {}) {
+        this.measurement = config.measurement || measureSources(__dirname);
+        const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+        this.privateKey = privateKey;
+        this.signerPublicKey = publicKey.export({ type: 'spki', format: 'der' }).toString('hex');
+    }
+
+    get format() {
+        return 'mock';
+    }
+
+    async getQuote(reportData) {
+        const body = {
+            format: 'mock',
+            measurement: this.measurement,
+            reportData: reportData.toString('hex')
+        };
+        const signature = crypto.sign(null, Buffer.from(JSON.stringify(body)), this.privateKey);
+        return {
+            ...body,
+            signer: this.signerPublicKey,
+            signature: signature.toString('hex')
+        };
+    }
+}
+
+/**
+ * Intel TDX quotes through the kernel configfs-tsm interface.
+ */
+class TdxQuoteProvider {
+    constructor(config = {}) {
+        this.reportDir = config.reportDir || TSM_REPORT_DIR;
+    }
+
+    get format() {
+        return 'tdx';
+    }
+
+    async getQuote(reportData) {
+        const entry = fs.mkdtempSync(path.join(this.reportDir, 'escrow-'));
+        try {
+            fs.writeFileSync(path.join(entry, 'inblob'), reportData);
+            const quote = fs.readFileSync(path.join(entry, 'outblob'));
+            return {
+                format: 'tdx',
+                quote: quote.toString('base64')
+            };
+        } finally {
+            fs.rmdirSync(entry);
+        }
+    }
+}
+
+function createQuoteProvider(config = {}) {
+    const kind = config.provider || (fs.existsSync(TSM_REPORT_DIR) ? 'tdx' : 'mock');
+    if (kind === 'tdx') {
+        return new TdxQuoteProvider(config);
+    }
+    if (kind === 'mock') {
+        console.warn('Using the mock quote provider, attestation is NOT backed by hardware');
+        return new MockQuoteProvider(config);
+    }
+    throw new Error(`Unknown quote provider: ${kind}`);
+}
+
+// Extract measurements and report data from a raw TDX quote
+function parseTdxQuote(quote) {
+    if (quote.length < TDX_QUOTE_HEADER_SIZE + TDX_BODY_OFFSETS.reportData + REPORT_DATA_SIZE) {
+        throw new Error('TDX quote is too short');
+    }
+    const version = quote.readUInt16LE(0);
+    if (version !== 4) {
+        throw new Error(`Unsupported TDX quote version ${version}`);
+    }
+
+    const field = (offset, size) => quote
+        .subarray(TDX_QUOTE_HEADER_SIZE + offset, TDX_QUOTE_HEADER_SIZE + offset + size)
+        .toString('hex');
+
+    return {
+        mrtd: field(TDX_BODY_OFFSETS.mrtd, TDX_MEASUREMENT_SIZE),
+        rtmr0: field(TDX_BODY_OFFSETS.rtmr0, TDX_MEASUREMENT_SIZE),
+        rtmr1: field(TDX_BODY_OFFSETS.rtmr1, TDX_MEASUREMENT_SIZE),
+        rtmr2: field(TDX_BODY_OFFSETS.rtmr2, TDX_MEASUREMENT_SIZE),
+        rtmr3: field(TDX_BODY_OFFSETS.rtmr3, TDX_MEASUREMENT_SIZE),
+        reportData: field(TDX_BODY_OFFSETS.reportData, REPORT_DATA_SIZE)
+    };
+}
+
+/**
+ * Verify an attestation returned by `GET /attestation` against an enclave policy.
+ *
+ * Policy fields:
+ * - `measurements` - allowed code measurements (TDX MRTD or mock source hash), required
+ * - `rtmrs` - optional expected runtime measurements, e.g. `{ rtmr3: '...' }`
+ * - `verifyQuote` - async function checking the TDX quote signature chain (e.g. DCAP), required for TDX
+ * - `allowMock` - accept mock quotes, development only
+ * - `mockSigners` - optional pinned mock signer keys
+ *
+ * @returns {Promise<Object>} The attested TEE identity `{ address, publicKey }`
+ */
+async function verifyAttestation(attestation, policy, expectedNonce) {
+    if (!policy || !Array.isArray(policy.measurements) || policy.measurements.length === 0) {
+        throw new Error('Enclave policy must list allowed measurements');
+    }
+    if (attestation.nonce !== expectedNonce) {
+        throw new Error('Attestation nonce mismatch');
+    }
+
+    const expectedReportData = computeReportData(attestation.identity.publicKey, expectedNonce).toString('hex');
+    const quote = attestation.quote;
+    let measurement;
+    let reportData;
+
+    if (quote.format === 'tdx') {
+        if (typeof policy.verifyQuote !== 'function') {
+            throw new Error('Enclave policy has no TDX quote verifier');
+        }
+        const raw = Buffer.from(quote.quote, 'base64');
+        if (!(await policy.verifyQuote(raw))) {
+            throw new Error('TDX quote signature verification failed');
+        }
+        const parsed = parseTdxQuote(raw);
+        for (const [name, value] of Object.entries(policy.rtmrs || {})) {
+            if (parsed[name] !== value.toLowerCase()) {
+                throw new Error(`Attested ${name} does not match the enclave policy`);
+            }
+        }
+        measurement = parsed.mrtd;
+        reportData = parsed.reportData;
+    } else if (quote.format === 'mock') {
+        if (!policy.allowMock) {
+            throw new Error('Mock attestation is not allowed by the enclave policy');
+        }
+        if (policy.mockSigners && !policy.mockSigners.includes(quote.signer)) {
+            throw new Error('Mock quote signer is not trusted');
+        }
+        const body = { format: quote.format, measurement: quote.measurement, reportData: quote.reportData };
+        const signerKey = crypto.createPublicKey({ key: Buffer.from(quote.signer, 'hex'), format: 'der', type: 'spki' });
+        if (!crypto.verify(null, Buffer.from(JSON.stringify(body)), signerKey, Buffer.from(quote.signature, 'hex'))) {
+            throw new Error('Mock quote signature is invalid');
+        }
+        measurement = quote.measurement;
+        reportData = quote.reportData;
+    } else {
+        throw new Error(`Unknown quote format: ${quote.format}`);
+    }
+
+    if (!policy.measurements.map(m => m.toLowerCase()).includes(measurement.toLowerCase())) {
+        throw new Error(`Measurement ${measurement} is not allowed by the enclave policy`);
+    }
+    if (reportData.toLowerCase() !== expectedReportData) {
+        throw new Error('Quote report data does not bind the TEE identity key');
+    }
+
+    return attestation.identity;
+}
+
+module.exports = {
+    MockQuoteProvider,
+    TdxQuoteProvider,
+    createQuoteProvider,
+    computeReportData,
+    measureSources,
+    parseTdxQuote,
+    verifyAttestation
+};
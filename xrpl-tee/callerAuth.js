@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const { sign, verify, deriveAddress } = require('ripple-keypairs');
+
+const AUTH_DOMAIN = 'xrpl-escrow-tee:v1';
+const CHALLENGE_TTL = 5 * 60 * 1000;
+const MAX_CHALLENGES = 10000;
+
+// The exact message a caller signs to authorize one action on one escrow, or on another
+// resource such as a webhook url (signed in its own field, the escrow id is then empty)
+function buildAuthMessage({ action, escrowId = '', resource, callerAddress, nonce, amount }) {
+    const fields = [AUTH_DOMAIN, action, escrowId, callerAddress, nonce];
+    if (amount !== undefined) {
+        // Issued currency amounts are signed as value/currency/issuer
+        fields.push(typeof amount === 'object' ? `${amount.value}/${amount.currency}/${amount.issuer}` : String(amount));
+    }
+    if (resource !== undefined) {
+        // Last, as a url may itself contain the separator
+        fields.push(String(resource));
+    }
+    return fields.join(':');
+}
+
+/**
+ * Sign an escrow action with the caller's XRPL key
+ * @param {Object} wallet - xrpl.js Wallet of the caller
+ * @param {Object} request - { action, escrowId?, resource?, nonce, amount? }
+ * @returns {Object} Auth object { publicKey, nonce, signature } for the request body
+ */
+function signAuthRequest(wallet, request) {
+    const message = buildAuthMessage({ ...request, callerAddress: wallet.address });
+    return {
+        publicKey: wallet.publicKey,
+        nonce: request.nonce,
+        signature: sign(Buffer.from(message, 'utf8').toString('hex'), wallet.privateKey)
+    };
+}
+
+/**
+ * Issues single-use challenge nonces and checks that escrow actions are signed
+ * by the key of the claimed XRPL account. Only master keys are accepted, regular
+ * keys would need an account lookup on the ledger.
+ */
+class CallerAuthenticator {
+    constructor(config = {}) {
+        this.challengeTtl = config.challengeTtl || CHALLENGE_TTL;
+        this.maxChallenges = config.maxChallenges || MAX_CHALLENGES;
+        this.challenges = new Map(); // nonce -> expiresAt
+    }
+
+    issueChallenge() {
+        const now = Date.now();
+        for (const [nonce, expiresAt] of this.challenges) {
+            if (expiresAt <= now) {
+                this.challenges.delete(nonce);
+            }
+        }
+        // Refuse new challenges rather than dropping ones already handed out to other callers
+        if (this.challenges.size >= this.maxChallenges) {
+            throw new Error('Too many outstanding challenges, try again later');
+        }
+
+        const nonce = crypto.randomBytes(32).toString('hex');
+        const expiresAt = now + this.challengeTtl;
+        this.challenges.set(nonce, expiresAt);
+        return { nonce, expiresAt };
+    }
+
+    /**
+     * Verify a signed action and consume its nonce
+     * @param {Object} request - { action, escrowId?, resource?, callerAddress, amount? }
+     * @param {Object} auth - { publicKey, nonce, signature } from the request body
+     * @throws {Error} If the signature does not prove control of callerAddress
+     */
+    verify(request, auth) {
+        this.check(request, auth);
+        this.consume(auth);
+    }
+
+    /**
+     * Verify a signed action without consuming its nonce, for routes that still check the
+     * escrow state and timelocks and only consume() once the action goes ahead
+     * @param {Object} request - { action, escrowId?, resource?, callerAddress, amount? }
+     * @param {Object} auth - { publicKey, nonce, signature } from the request body
+     * @throws {Error} If the signature does not prove control of callerAddress
+     */
+    check(request, auth) {
+        if (!auth || !auth.publicKey || !auth.nonce || !auth.signature) {
+            throw new Error('Missing caller signature');
+        }
+
+        const expiresAt = this.challenges.get(auth.nonce);
+        if (!expiresAt || expiresAt <= Date.now()) {
+            throw new Error('Unknown or expired challenge nonce');
+        }
+
+        let address;
+        try {
+            address = deriveAddress(auth.publicKey);
+        } catch (error) {
+            throw new Error(`Invalid caller public key: ${error.message}`);
+        }
+        if (address !== request.callerAddress) {
+            throw new Error('Public key does not belong to the caller address');
+        }
+
+        const message = buildAuthMessage({ ...request, nonce: auth.nonce });
+        let valid;
+        try {
+            valid = verify(Buffer.from(message, 'utf8').toString('hex'), auth.signature, auth.publicKey);
+        } catch (error) {
+            valid = false;
+        }
+        if (!valid) {
+            throw new Error('Invalid caller signature');
+        }
+    }
+
+    // Nonces are only consumed after a valid signature, so nobody can burn another caller's challenge
+    consume(auth) {
+        this.challenges.delete(auth.nonce);
+    }
+}
+
+module.exports = {
+    CallerAuthenticator,
+    buildAuthMessage,
+    signAuthRequest
+};
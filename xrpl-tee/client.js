@@ -1,5 +1,15 @@
 const axios = require('axios');
+const BigNumber = require('bignumber.js');
 const crypto = require('crypto');
+const { keccak256 } = require('ethers');
+const { verifyAttestation } = require('./attestation');
+const { verifyReceipt } = require('./receipts');
+const { signAuthRequest } = require('./callerAuth');
+const { isXrp, parseAmount, parseToken } = require('./tokens');
+const { hashImmutables } = require('./immutables');
+const { buildMerkleTree } = require('./merkleSecrets');
+const { sha256Hashlock } = require('./nativeEscrow');
+const { verifyWebhook } = require('./webhooks');
 
 /**
  * Client library for interacting with the XRPL TEE Escrow Server
@@ -9,6 +19,17 @@ class XRPLEscrowClient {
         this.baseUrl = config.baseUrl || 'https://tee.5050sol.space/health';
         this.timeout = config.timeout || 30000;
         this.retries = config.retries || 3;
+        // Escrow traffic is only sent after the TEE attested against this policy (see attestation.js)
+        this.enclavePolicy = config.enclavePolicy || null;
+        this.attestationMaxAge = config.attestationMaxAge || 10 * 60 * 1000;
+        this.teeIdentity = null;
+        this.attestedAt = 0;
+        // Receipts are checked against the attested identity, or this pinned address; without
+        // either every lifecycle request fails, since any key could have signed its receipt
+        this.teeSigner = config.teeSigner || null;
+        this.receipts = new Map(); // escrowId -> verified receipts
+        // Only needed for /admin endpoints such as advancing the test clock
+        this.adminToken = config.adminToken || null;
         
         // Create axios instance with default config
         this.http = axios.create({
@@ -25,9 +46,16 @@ class XRPLEscrowClient {
     }
 
     setupInterceptors() {
-        // Request interceptor for logging
+        // Request interceptor for attestation, idempotency keys and logging
         this.http.interceptors.request.use(
-            (config) => {
+            async (config) => {
+                if (this.enclavePolicy && config.url?.startsWith('/escrow')) {
+                    await this.ensureAttested();
+                }
+                // Retries reuse the config, so the server replays the first response instead of acting twice
+                if (config.method === 'post' && !config.headers['Idempotency-Key']) {
+                    config.headers['Idempotency-Key'] = crypto.randomUUID();
+                }
                 console.log(`→ ${config.method?.toUpperCase()} ${config.url}`);
                 return config;
             },
@@ -59,7 +87,15 @@ class XRPLEscrowClient {
                     // Exponential backoff
                     const delay = Math.pow(2, config.__retryCount) * 1000;
                     await new Promise(resolve => setTimeout(resolve, delay));
-                    
+
+                    // The nonce of a signed request is single use, so it is signed again over a new
+                    // challenge, under a new key since the body changes. A 409 for a key still in
+                    // progress is sent unchanged, the server replays the first response once done.
+                    if (config.resign && response?.status !== 409) {
+                        const body = typeof config.data === 'string' ? JSON.parse(config.data) : config.data;
+                        config.data = { ...body, ...await config.resign() };
+                        config.headers['Idempotency-Key'] = crypto.randomUUID();
+                    }
                     return this.http(config);
                 }
 
@@ -72,10 +108,42 @@ class XRPLEscrowClient {
         return (
             !error.response || // Network error
             error.response.status >= 500 || // Server error
-            error.response.status === 429 // Rate limited
+            error.response.status === 429 || // Rate limited
+            (error.response.status === 409 && error.response.headers['retry-after'] !== undefined) // Same key still in progress
         );
     }
 
+    /**
+     * Fetch the TEE attestation and verify it against the enclave policy
+     * @returns {Promise<Object>} Attested TEE identity { address, publicKey }
+     */
+    async verifyAttestation() {
+        if (!this.enclavePolicy) {
+            throw new Error('No enclave policy configured');
+        }
+        const nonce = crypto.randomBytes(32).toString('hex');
+        try {
+            const response = await this.http.get('/attestation', { params: { nonce } });
+            this.teeIdentity = await verifyAttestation(response.data, this.enclavePolicy, nonce);
+            this.attestedAt = Date.now();
+            return this.teeIdentity;
+        } catch (error) {
+            this.teeIdentity = null;
+            throw this.formatError(`TEE attestation failed: ${error.message}`, error);
+        }
+    }
+
+    /**
+     * Verify the attestation unless a recent one is cached
+     * @returns {Promise<Object>} Attested TEE identity
+     */
+    async ensureAttested() {
+        if (!this.teeIdentity || Date.now() - this.attestedAt > this.attestationMaxAge) {
+            await this.verifyAttestation();
+        }
+        return this.teeIdentity;
+    }
+
     /**
      * Generate a cryptographically secure secret
      * @returns {string} 32-byte hex string
@@ -94,18 +162,53 @@ class XRPLEscrowClient {
         return '0x' + crypto.createHash('sha3-256').update(secretBytes).digest('hex');
     }
 
+    /**
+     * sha256 hashlock of a secret, required for native (`mode: 'native'`) escrows
+     * @param {string} secret - 32-byte hex string
+     * @returns {string} Hashlock the ledger condition is built from
+     */
+    static sha256Hashlock(secret) {
+        return sha256Hashlock(secret);
+    }
+
+    /**
+     * Merkle tree of a multiple fill order, as `HashLock.forMultipleFills` builds it
+     * @param {Array<string>} secrets - One secret per fill index, at least 3
+     * @returns {Object} { hashlock, root, getProof(index) }
+     */
+    static buildMultiFillSecrets(secrets) {
+        return buildMerkleTree(secrets.map(secret => keccak256(secret)));
+    }
+
+    /**
+     * Escrow id the TEE assigns to these immutables (EVM ImmutablesLib.hash)
+     * @param {Object} escrowData - Escrow parameters as sent to create-dst or create-src
+     * @returns {string} Escrow id
+     */
+    static computeEscrowId(escrowData) {
+        const token = parseToken(escrowData.token);
+        return hashImmutables({ ...escrowData, token, amount: parseAmount(token, escrowData.amount) });
+    }
+
     /**
      * Create a new destination escrow
      * @param {Object} escrowData - Escrow parameters
      * @returns {Promise<Object>} Escrow creation response
      */
     async createDestinationEscrow(escrowData) {
-        try {
-            const response = await this.http.post('/escrow/create-dst', escrowData);
-            return response.data;
-        } catch (error) {
-            throw this.formatError('Failed to create destination escrow', error);
-        }
+        return this.postLifecycle('/escrow/create-dst', escrowData, 'Failed to create destination escrow',
+            XRPLEscrowClient.computeEscrowId(escrowData));
+    }
+
+    /**
+     * Create a new source escrow (XRPL -> EVM swaps): the maker deposits the amount,
+     * the taker the safety deposit
+     * @param {Object} escrowData - Escrow parameters
+     * @returns {Promise<Object>} Escrow creation response
+     */
+    async createSourceEscrow(escrowData) {
+        return this.postLifecycle('/escrow/create-src', escrowData, 'Failed to create source escrow',
+            XRPLEscrowClient.computeEscrowId(escrowData));
     }
 
     /**
@@ -115,69 +218,160 @@ class XRPLEscrowClient {
      * @returns {Promise<Object>} Funding confirmation
      */
     async fundEscrow(escrowId, fundingData) {
+        return this.postLifecycle(`/escrow/${escrowId}/fund`, fundingData, 'Failed to fund escrow', escrowId);
+    }
+
+    /**
+     * Get a single-use nonce for signing an escrow action
+     * @returns {Promise<Object>} { nonce, expiresAt }
+     */
+    async getChallenge() {
         try {
-            const response = await this.http.post(`/escrow/${escrowId}/fund`, fundingData);
+            const response = await this.http.post('/auth/challenge');
             return response.data;
         } catch (error) {
-            throw this.formatError('Failed to fund escrow', error);
+            throw this.formatError('Failed to get auth challenge', error);
         }
     }
 
+    /**
+     * Sign an escrow action with the caller's wallet over a fresh challenge
+     * @param {Object} wallet - xrpl.js Wallet of the caller
+     * @param {Object} request - { action, escrowId?, resource?, amount? }: action 'withdraw' | 'cancel' |
+     *   'rescue' on an escrow (with the rescue amount), or 'webhook' on the webhook url as resource
+     * @returns {Promise<Object>} Request body fields { callerAddress, auth }
+     */
+    async authorize(wallet, { action, escrowId, resource, amount }) {
+        const { nonce } = await this.getChallenge();
+        return {
+            callerAddress: wallet.address,
+            auth: signAuthRequest(wallet, { action, escrowId, resource, nonce, amount })
+        };
+    }
+
     /**
      * Withdraw funds from an escrow
      * @param {string} escrowId - Escrow ID
      * @param {string} secret - Secret that unlocks the escrow
-     * @param {string} callerAddress - Address of the caller
+     * @param {Object|string} caller - Taker wallet, or just an address for a public withdrawal
      * @param {boolean} isPublic - Whether this is a public withdrawal
+     * @param {Object} [fill] - { secretIndex, proof } for multiple fill escrows
      * @returns {Promise<Object>} Withdrawal result
      */
-    async withdraw(escrowId, secret, callerAddress, isPublic = false) {
-        try {
-            const response = await this.http.post(`/escrow/${escrowId}/withdraw`, {
-                secret,
-                callerAddress,
-                isPublic
-            });
-            return response.data;
-        } catch (error) {
-            throw this.formatError('Failed to withdraw from escrow', error);
-        }
+    async withdraw(escrowId, secret, caller, isPublic = false, fill = null) {
+        const resign = typeof caller === 'string' ? null : () => this.authorize(caller, { action: 'withdraw', escrowId });
+        const callerFields = resign ? await resign() : { callerAddress: caller };
+        return this.postLifecycle(`/escrow/${escrowId}/withdraw`, {
+            secret,
+            ...callerFields,
+            isPublic,
+            ...(fill ? { secretIndex: fill.secretIndex, proof: fill.proof } : {})
+        }, 'Failed to withdraw from escrow', escrowId, { resign });
     }
 
     /**
      * Cancel an escrow and return funds
      * @param {string} escrowId - Escrow ID  
-     * @param {string} callerAddress - Address of the caller
+     * @param {Object|string} caller - Taker wallet, or just an address for a public cancellation
+     * @param {boolean} isPublic - Whether this is a public cancellation
      * @returns {Promise<Object>} Cancellation result
      */
-    async cancel(escrowId, callerAddress) {
-        try {
-            const response = await this.http.post(`/escrow/${escrowId}/cancel`, {
-                callerAddress
-            });
-            return response.data;
-        } catch (error) {
-            throw this.formatError('Failed to cancel escrow', error);
+    async cancel(escrowId, caller, isPublic = false) {
+        if (isPublic) {
+            return this.publicCancel(escrowId, typeof caller === 'string' ? caller : caller.address);
         }
+        const resign = () => this.authorize(caller, { action: 'cancel', escrowId });
+        return this.postLifecycle(`/escrow/${escrowId}/cancel`, await resign(), 'Failed to cancel escrow', escrowId, { resign });
+    }
+
+    /**
+     * Cancel a stale source escrow as anyone, once its public cancellation stage is reached
+     * @param {string} escrowId - Escrow ID
+     * @param {string} callerAddress - XRPL address receiving the safety deposit
+     * @returns {Promise<Object>} Cancellation result
+     */
+    async publicCancel(escrowId, callerAddress) {
+        return this.postLifecycle(`/escrow/${escrowId}/public-cancel`, {
+            callerAddress
+        }, 'Failed to cancel escrow publicly', escrowId);
     }
 
     /**
      * Rescue funds from an escrow (emergency function)
      * @param {string} escrowId - Escrow ID
-     * @param {string} callerAddress - Address of the caller
+     * @param {Object} wallet - Taker wallet
      * @param {string} amount - Amount to rescue
      * @returns {Promise<Object>} Rescue result
      */
-    async rescueFunds(escrowId, callerAddress, amount) {
+    async rescueFunds(escrowId, wallet, amount) {
+        const resign = () => this.authorize(wallet, { action: 'rescue', escrowId, amount });
+        return this.postLifecycle(`/escrow/${escrowId}/rescue`, {
+            ...await resign(),
+            amount
+        }, 'Failed to rescue funds', escrowId, { resign });
+    }
+
+    /**
+     * POST a lifecycle request and verify the TEE receipt of the resulting transition
+     * @param {string} url - Endpoint
+     * @param {Object} body - Request body
+     * @param {string} errorMessage - Message for request failures
+     * @param {string} escrowId - Escrow the receipt must be for
+     * @param {Object} [requestConfig] - Axios config, `resign` returns fresh `{ callerAddress, auth }`
+     *   fields for retries of a signed request
+     * @returns {Promise<Object>} Response data including the verified `receipt`
+     */
+    async postLifecycle(url, body, errorMessage, escrowId, requestConfig = {}) {
+        let response;
         try {
-            const response = await this.http.post(`/escrow/${escrowId}/rescue`, {
-                callerAddress,
-                amount
-            });
-            return response.data;
+            response = await this.http.post(url, body, requestConfig);
+        } catch (error) {
+            throw this.formatError(errorMessage, error);
+        }
+        this.recordReceipt(response.data.receipt, escrowId);
+        return response.data;
+    }
+
+    /**
+     * Verify a TEE receipt and remember it for its escrow
+     * @param {Object} receipt - Signed receipt
+     * @param {string} escrowId - Escrow the receipt must be for
+     * @returns {Object} Verified receipt payload
+     * @throws {Error} If the receipt is missing, not signed by the TEE or for another escrow
+     */
+    recordReceipt(receipt, escrowId) {
+        let payload;
+        try {
+            payload = verifyReceipt(receipt, this.teeIdentity?.address || this.teeSigner);
+        } catch (error) {
+            throw new Error(`Invalid TEE receipt: ${error.message}`);
+        }
+        if (payload.escrowId?.toLowerCase() !== escrowId.toLowerCase()) {
+            throw new Error(`Receipt for escrow ${payload.escrowId} returned for ${escrowId}`);
+        }
+        const known = this.receipts.get(payload.escrowId) || [];
+        if (!known.some(r => r.digest === receipt.digest)) {
+            this.receipts.set(payload.escrowId, [...known, receipt]);
+        }
+        return payload;
+    }
+
+    /**
+     * Fetch and verify all receipts the TEE issued for an escrow
+     * @param {string} escrowId - Escrow ID
+     * @returns {Promise<Array>} Verified receipts, oldest first
+     */
+    async getReceipts(escrowId) {
+        let response;
+        try {
+            response = await this.http.get(`/escrow/${escrowId}/receipts`);
         } catch (error) {
-            throw this.formatError('Failed to rescue funds', error);
+            throw this.formatError('Failed to get escrow receipts', error);
         }
+        for (const receipt of response.data.receipts) {
+            this.recordReceipt(receipt, escrowId);
+        }
+        return response.data.receipts;
     }
 
     /**
@@ -194,6 +388,166 @@ class XRPLEscrowClient {
         }
     }
 
+    /**
+     * Get all escrows created for an order
+     * @param {string} orderHash - Order hash of the escrow immutables
+     * @returns {Promise<Object>} { orderHash, escrows }
+     */
+    async getEscrowsByOrder(orderHash) {
+        try {
+            const response = await this.http.get('/escrows', { params: { orderHash } });
+            return response.data;
+        } catch (error) {
+            throw this.formatError('Failed to get escrows of order', error);
+        }
+    }
+
+    /**
+     * Secrets revealed by withdrawals, each with the XRPL tx that revealed it
+     * @param {Object} filter - { orderHash, hashlock }, at least one
+     * @returns {Promise<Array<Object>>} { escrowId, orderHash, hashlock, type, secret, secretIndex?, txHash, revealedAt }
+     */
+    async getSecrets(filter) {
+        try {
+            const response = await this.http.get('/secrets', { params: filter });
+            return response.data.secrets;
+        } catch (error) {
+            throw this.formatError('Failed to get revealed secrets', error);
+        }
+    }
+
+    /**
+     * Follow revealed secrets as they are published, starting with those already revealed
+     * @param {Object} filter - { orderHash, hashlock }, both optional
+     * @param {Function} onSecret - Called with every matching secret
+     * @returns {Promise<Object>} Subscription with close()
+     */
+    async subscribeSecrets(filter, onSecret) {
+        return this.streamEvents('/secrets/stream', filter, (event, data) => {
+            if (event === 'secret') {
+                onSecret(data);
+            }
+        });
+    }
+
+    /**
+     * Follow escrow lifecycle events: created, deposit-seen, funded, locked, withdrawn,
+     * cancelled, rescued and stage-changed. Reconnects after a dropped connection and
+     * resumes after the last event received, so no event is missed or repeated.
+     * @param {Object} filter - { escrowId, address, types, cursor }, all optional. Without a
+     *   cursor only new events are delivered, cursor 0 replays every retained event.
+     * @param {Function} onEvent - Called with every matching event
+     *   { id, type, escrowId, orderHash, escrowType, status, maker, taker, addresses, data, at }
+     * @returns {Promise<Object>} Subscription with close()
+     */
+    async subscribeEvents(filter, onEvent) {
+        const { cursor, ...params } = filter || {};
+        let lastId = cursor;
+        let current = null;
+        let closed = false;
+
+        const connect = async () => {
+            current = await this.streamEvents('/events', { ...params, cursor: lastId }, (event, data, id) => {
+                if (event === 'truncated') {
+                    console.warn(`Escrow events before ${data.oldestId} are no longer retained by the TEE`);
+                    return;
+                }
+                lastId = Number(id);
+                onEvent(data);
+            }, reconnect);
+            if (closed) {
+                current.close();
+            }
+        };
+        const reconnect = () => {
+            setTimeout(() => {
+                if (!closed) {
+                    connect().catch(error => {
+                        console.warn(`Reconnecting to escrow events failed: ${error.message}`);
+                        reconnect();
+                    });
+                }
+            }, 1000);
+        };
+
+        await connect();
+        return {
+            close: () => {
+                closed = true;
+                current?.close();
+            }
+        };
+    }
+
+    /**
+     * Read a server-sent event stream
+     * @param {string} url - Endpoint
+     * @param {Object} params - Query parameters
+     * @param {Function} onEvent - Called with (event, data, id) for every event. An event that does
+     *   not parse or makes onEvent throw is reported like a stream error and skipped
+     * @param {Function} [onEnd] - Called when the server ends the stream or it fails
+     * @returns {Promise<Object>} Subscription with close()
+     */
+    async streamEvents(url, params, onEvent, onEnd = null) {
+        const controller = new AbortController();
+        let response;
+        try {
+            response = await this.http.get(url, {
+                params,
+                responseType: 'stream',
+                timeout: 0,
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw this.formatError(`Failed to open ${url}`, error);
+        }
+
+        // Closing the subscription aborts the request, that is not an error
+        const reportError = error => {
+            if (!controller.signal.aborted) {
+                console.error(`Event stream ${url} failed:`, error.message);
+            }
+        };
+
+        let buffer = '';
+        response.data.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let end;
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+                const block = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+
+                let event = 'message';
+                let id = null;
+                const data = [];
+                for (const line of block.split('\n')) {
+                    if (line.startsWith('event:')) {
+                        event = line.slice(6).trim();
+                    } else if (line.startsWith('data:')) {
+                        data.push(line.slice(5).trim());
+                    } else if (line.startsWith('id:')) {
+                        id = line.slice(3).trim();
+                    }
+                }
+                if (data.length > 0) {
+                    try {
+                        onEvent(event, JSON.parse(data.join('\n')), id);
+                    } catch (error) {
+                        reportError(error);
+                    }
+                }
+            }
+        });
+        response.data.on('error', reportError);
+        response.data.on('close', () => {
+            if (!controller.signal.aborted && onEnd) {
+                onEnd();
+            }
+        });
+
+        return { close: () => controller.abort() };
+    }
+
     /**
      * Check server health and connectivity
      * @returns {Promise<Object>} Health status
@@ -208,36 +562,154 @@ class XRPLEscrowClient {
     }
 
     /**
-     * Wait for escrow to reach a specific status
+     * Advance the TEE test clock, e.g. together with `evm_increaseTime` on the EVM forks
+     * @param {number} seconds - Seconds to move forward
+     * @returns {Promise<Object>} { source, now } of the TEE clock
+     */
+    async advanceClock(seconds) {
+        try {
+            const response = await this.http.post('/admin/clock/advance', { seconds }, {
+                headers: { Authorization: `Bearer ${this.adminToken}` }
+            });
+            return response.data;
+        } catch (error) {
+            throw this.formatError('Failed to advance TEE clock', error);
+        }
+    }
+
+    /**
+     * Scheduled default actions of the TEE (refunds, withdrawals with revealed secrets)
+     * @param {Object} filter - { status, escrowId }, both optional
+     * @returns {Promise<Object>} { now, autoActions, jobs }
+     */
+    async getJobs(filter = {}) {
+        try {
+            const response = await this.http.get('/admin/jobs', {
+                params: filter,
+                headers: { Authorization: `Bearer ${this.adminToken}` }
+            });
+            return response.data;
+        } catch (error) {
+            throw this.formatError('Failed to get scheduled jobs', error);
+        }
+    }
+
+    /**
+     * Register a webhook for escrow lifecycle events
+     * @param {Object} registration - { url, maker, taker, orderHash, types }, filters optional
+     * @param {Object} wallet - xrpl.js Wallet of the account owning the webhook, the maker or taker of an escrow
+     * @returns {Promise<Object>} The webhook with its `secret`, keep it to verify and manage deliveries
+     */
+    async registerWebhook(registration, wallet) {
+        try {
+            const resign = () => this.authorize(wallet, { action: 'webhook', resource: registration.url });
+            const response = await this.http.post('/webhooks', { ...registration, ...await resign() }, { resign });
+            return response.data;
+        } catch (error) {
+            throw this.formatError('Failed to register webhook', error);
+        }
+    }
+
+    async deleteWebhook(webhookId, secret) {
+        try {
+            const response = await this.http.delete(`/webhooks/${webhookId}`, {
+                headers: { Authorization: `Bearer ${secret}` }
+            });
+            return response.data;
+        } catch (error) {
+            throw this.formatError('Failed to delete webhook', error);
+        }
+    }
+
+    /**
+     * Delivery log of a webhook, newest first
+     * @param {string} status - Optional 'pending', 'delivered' or 'dead'
+     */
+    async getWebhookDeliveries(webhookId, secret, status) {
+        try {
+            const response = await this.http.get(`/webhooks/${webhookId}/deliveries`, {
+                params: status ? { status } : {},
+                headers: { Authorization: `Bearer ${secret}` }
+            });
+            return response.data.deliveries;
+        } catch (error) {
+            throw this.formatError('Failed to get webhook deliveries', error);
+        }
+    }
+
+    async redeliverWebhook(webhookId, secret, deliveryId) {
+        try {
+            const response = await this.http.post(`/webhooks/${webhookId}/deliveries/${deliveryId}/redeliver`, {}, {
+                headers: { Authorization: `Bearer ${secret}` }
+            });
+            return response.data;
+        } catch (error) {
+            throw this.formatError('Failed to redeliver webhook', error);
+        }
+    }
+
+    /**
+     * Check a webhook request received from the TEE
+     * @param {string} secret - Secret returned by registerWebhook
+     * @param {Object} headers - Request headers (lower case names, as in Node)
+     * @param {string} rawBody - Request body exactly as received
+     * @param {number} tolerance - Maximum age of the request in seconds
+     * @returns {boolean} True if the signature is valid and the request recent
+     */
+    static verifyWebhook(secret, headers, rawBody, tolerance = 300) {
+        const timestamp = headers['x-tee-timestamp'];
+        if (!Number.isFinite(Number(timestamp)) || Math.abs(Date.now() / 1000 - Number(timestamp)) > tolerance) {
+            return false;
+        }
+        return verifyWebhook(secret, timestamp, rawBody, headers['x-tee-signature']);
+    }
+
+    /**
+     * Wait for escrow to reach a specific status, following its events instead of polling
      * @param {string} escrowId - Escrow ID
      * @param {string} targetStatus - Target status to wait for
      * @param {number} timeout - Timeout in milliseconds
-     * @param {number} interval - Polling interval in milliseconds
      * @returns {Promise<Object>} Escrow details when target status is reached
      */
-    async waitForStatus(escrowId, targetStatus, timeout = 300000, interval = 2000) {
-        const startTime = Date.now();
-        
-        while (Date.now() - startTime < timeout) {
-            try {
+    async waitForStatus(escrowId, targetStatus, timeout = 300000) {
+        let subscription;
+        let timer;
+        let done = false;
+        const reached = new Promise((resolve, reject) => {
+            timer = setTimeout(
+                () => reject(new Error(`Timeout waiting for escrow ${escrowId} to reach status "${targetStatus}"`)),
+                timeout
+            );
+            // Subscribe before reading the status so a transition in between is not missed
+            this.subscribeEvents({ escrowId }, event => {
+                if (event.status === targetStatus) {
+                    resolve();
+                }
+            }).then(async sub => {
+                subscription = sub;
+                if (done) {
+                    sub.close();
+                    return;
+                }
                 const escrow = await this.getEscrow(escrowId);
                 if (escrow.status === targetStatus) {
-                    return escrow;
+                    resolve();
+                } else {
+                    console.log(`Waiting for escrow ${escrowId} to reach status "${targetStatus}". Current: "${escrow.status}"`);
                 }
-                
-                console.log(`Waiting for escrow ${escrowId} to reach status "${targetStatus}". Current: "${escrow.status}"`);
-                await new Promise(resolve => setTimeout(resolve, interval));
-            } catch (error) {
-                if (error.response?.status === 404) {
-                    throw new Error(`Escrow ${escrowId} not found`);
-                }
-                // Continue polling on other errors
-                console.warn(`Error checking escrow status: ${error.message}`);
-                await new Promise(resolve => setTimeout(resolve, interval));
-            }
+            }).catch(error => {
+                reject(error.status === 404 ? new Error(`Escrow ${escrowId} not found`) : error);
+            });
+        });
+
+        try {
+            await reached;
+        } finally {
+            done = true;
+            clearTimeout(timer);
+            subscription?.close();
         }
-        
-        throw new Error(`Timeout waiting for escrow ${escrowId} to reach status "${targetStatus}"`);
+        return this.getEscrow(escrowId);
     }
 
     /**
@@ -245,10 +717,10 @@ class XRPLEscrowClient {
      * @param {Object} escrowParams - Initial escrow parameters
      * @param {Object} fundingTx - Funding transaction details
      * @param {string} secret - Secret for withdrawal
-     * @param {string} callerAddress - Caller address
+     * @param {Object} callerWallet - Taker wallet
      * @returns {Promise<Object>} Complete workflow results
      */
-    async completeEscrowWorkflow(escrowParams, fundingTx, secret, callerAddress) {
+    async completeEscrowWorkflow(escrowParams, fundingTx, secret, callerWallet) {
         const workflow = {
             escrow: null,
             funding: null,
@@ -283,7 +755,7 @@ class XRPLEscrowClient {
             workflow.withdrawal = await this.withdraw(
                 workflow.escrow.escrowId,
                 secret,
-                callerAddress
+                callerWallet
             );
             workflow.status = 'completed';
 
@@ -353,25 +825,6 @@ class XRPLEscrowUtils {
         return timelocks;
     }
 
-    /**
-     * Calculate required deposits for escrow
-     * @param {string} token - Token address (0x0 for native XRP)
-     * @param {string} amount - Escrow amount
-     * @param {string} safetyDeposit - Safety deposit amount
-     * @returns {Object} Required deposit breakdown
-     */
-    static calculateDeposits(token, amount, safetyDeposit) {
-        const isNativeXRP = token === '0x0000000000000000000000000000000000000000';
-        
-        return {
-            xrp: isNativeXRP ? 
-                (BigInt(amount) + BigInt(safetyDeposit)).toString() : 
-                safetyDeposit,
-            token: isNativeXRP ? '0' : amount,
-            total: (BigInt(amount) + BigInt(safetyDeposit)).toString()
-        };
-    }
-
     /**
      * Validate escrow parameters
      * @param {Object} params - Escrow parameters
@@ -407,12 +860,22 @@ class XRPLEscrowUtils {
             throw new Error('Invalid taker XRPL address');
         }
 
-        // Validate amounts
-        if (BigInt(params.amount) <= 0) {
+        // Validate amounts: XRP in whole drops, issued currencies as decimal values
+        const amount = new BigNumber(params.amount);
+        if (!amount.isFinite() || amount.lte(0)) {
             throw new Error('Amount must be positive');
         }
+        if (isXrp(params.token) && !amount.isInteger()) {
+            throw new Error('XRP amounts must be whole drops');
+        }
+        parseAmount(parseToken(params.token), amount.toFixed());
 
-        if (BigInt(params.safetyDeposit) < 0) {
+        // The safety deposit is always XRP
+        const safetyDeposit = new BigNumber(params.safetyDeposit);
+        if (!safetyDeposit.isInteger()) {
+            throw new Error('Safety deposit must be whole drops');
+        }
+        if (safetyDeposit.lt(0)) {
             throw new Error('Safety deposit cannot be negative');
         }
     }
@@ -0,0 +1,78 @@
+// Seconds between the unix epoch and the ripple epoch (2000-01-01T00:00:00Z)
+const RIPPLE_EPOCH_OFFSET = 946684800;
+
+// Host wall clock
+class WallClock {
+    constructor() {
+        this.source = 'wall';
+    }
+
+    async now() {
+        return Math.floor(Date.now() / 1000);
+    }
+}
+
+/**
+ * Close time of the latest validated ledger, the time native escrows are enforced
+ * against. It does not depend on the host clock, but lags wall time by a few seconds.
+ */
+class LedgerClock {
+    constructor(config = {}) {
+        if (!config.client) {
+            throw new Error('LedgerClock requires an XRPL client');
+        }
+        this.source = 'ledger';
+        this.client = config.client;
+    }
+
+    async now() {
+        const response = await this.client.request({ command: 'ledger', ledger_index: 'validated' });
+        return response.result.ledger.close_time + RIPPLE_EPOCH_OFFSET;
+    }
+}
+
+/**
+ * Wall clock plus an offset that only ever grows, like anvil's `evm_increaseTime`.
+ * Lets test suites move TEE time together with their EVM forks.
+ */
+class TestClock {
+    constructor(config = {}) {
+        this.source = 'test';
+        this.offset = config.offset || 0;
+    }
+
+    async now() {
+        return Math.floor(Date.now() / 1000) + this.offset;
+    }
+
+    advance(seconds) {
+        if (!Number.isInteger(seconds) || seconds < 0) {
+            throw new Error('Clock can only be advanced by a non-negative whole number of seconds');
+        }
+        this.offset += seconds;
+    }
+}
+
+// Build the clock timelocks are enforced against: 'wall' (default), 'ledger' or 'test'
+function createClock(config = {}) {
+    const kind = config.clock || 'wall';
+    if (kind === 'wall') {
+        return new WallClock();
+    }
+    if (kind === 'ledger') {
+        return new LedgerClock({ client: config.client });
+    }
+    if (kind === 'test') {
+        console.warn('Using the test clock, timelocks can be advanced through /admin/clock/advance');
+        return new TestClock();
+    }
+    throw new Error(`Unknown clock source: ${kind}`);
+}
+
+module.exports = {
+    LedgerClock,
+    RIPPLE_EPOCH_OFFSET,
+    TestClock,
+    WallClock,
+    createClock
+};
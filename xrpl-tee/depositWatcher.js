@@ -0,0 +1,102 @@
+/**
+ * Watches escrow accounts over the XRPL websocket and reports validated incoming payments.
+ *
+ * Subscriptions do not survive a reconnect, so they are renewed on every `connected`
+ * event and `account_tx` is replayed from the escrow's creation ledger to pick up
+ * payments that arrived while nobody was listening.
+ */
+class DepositWatcher {
+    constructor(config = {}) {
+        if (!config.client || typeof config.onPayment !== 'function') {
+            throw new Error('DepositWatcher requires an XRPL client and an onPayment handler');
+        }
+        this.client = config.client;
+        this.onPayment = config.onPayment;
+        this.watched = new Map(); // escrow address -> ledger index to catch up from
+        this.started = false;
+    }
+
+    start() {
+        if (this.started) {
+            return;
+        }
+        this.started = true;
+        this.client.on('transaction', event => this.handleTransaction(event));
+        this.client.on('connected', () => {
+            this.resubscribe().catch(error => console.error('Failed to resubscribe escrow accounts:', error));
+        });
+    }
+
+    async watch(address, fromLedgerIndex) {
+        this.watched.set(address, fromLedgerIndex);
+        await this.client.request({ command: 'subscribe', accounts: [address] });
+        await this.catchUp(address);
+    }
+
+    async unwatch(address) {
+        if (!this.watched.delete(address) || !this.client.isConnected()) {
+            return;
+        }
+        await this.client.request({ command: 'unsubscribe', accounts: [address] });
+    }
+
+    async resubscribe() {
+        const addresses = [...this.watched.keys()];
+        if (addresses.length === 0) {
+            return;
+        }
+        await this.client.request({ command: 'subscribe', accounts: addresses });
+        console.log(`Resubscribed to ${addresses.length} escrow accounts`);
+        for (const address of addresses) {
+            await this.catchUp(address);
+        }
+    }
+
+    // Replay validated payments to an account since it started being watched
+    async catchUp(address) {
+        let marker;
+        do {
+            const response = await this.client.request({
+                command: 'account_tx',
+                account: address,
+                ledger_index_min: this.watched.get(address) ?? -1,
+                ledger_index_max: -1,
+                forward: true,
+                marker
+            });
+            for (const entry of response.result.transactions) {
+                await this.dispatch(address, { ...entry, validated: entry.validated !== false });
+            }
+            marker = response.result.marker;
+        } while (marker && this.watched.has(address));
+    }
+
+    handleTransaction(event) {
+        const tx = event.tx_json || event.transaction;
+        if (!event.validated || !tx || !this.watched.has(tx.Destination)) {
+            return;
+        }
+        this.dispatch(tx.Destination, event).catch(error =>
+            console.error(`Failed to process deposit to ${tx.Destination}:`, error)
+        );
+    }
+
+    async dispatch(address, event) {
+        const tx = event.tx_json || event.transaction || event.tx;
+        if (!tx || tx.TransactionType !== 'Payment' || tx.Destination !== address) {
+            return;
+        }
+        if (event.meta?.TransactionResult !== 'tesSUCCESS') {
+            return;
+        }
+        await this.onPayment(address, {
+            txHash: event.hash || tx.hash,
+            fromAddress: tx.Account,
+            ledgerIndex: event.ledger_index ?? tx.ledger_index
+        });
+    }
+}
+
+module.exports = {
+    DepositWatcher
+};
@@ -0,0 +1,68 @@
+// Allowed status changes of an escrow. `withdrawing` and `cancelling` are held while the
+// payout transactions are sent; they go back to `funded` if the payout failed before the
+// principal moved.
+const ESCROW_TRANSITIONS = {
+    created: ['funded'],
+    funded: ['withdrawing', 'cancelling'],
+    withdrawing: ['withdrawn', 'funded'],
+    cancelling: ['cancelled', 'funded'],
+    withdrawn: [],
+    cancelled: []
+};
+
+const TRANSITIONAL_STATES = ['withdrawing', 'cancelling'];
+
+function canTransition(from, to) {
+    return (ESCROW_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Change the status of an escrow
+ * @param {Object} escrow - Escrow record, updated in place
+ * @param {string} to - New status
+ * @throws {Error} If the escrow cannot move from its status to `to`
+ */
+function transitionEscrow(escrow, to) {
+    if (!canTransition(escrow.status, to)) {
+        throw new Error(`Escrow ${escrow.id} cannot go from ${escrow.status} to ${to}`);
+    }
+    escrow.status = to;
+    return escrow;
+}
+
+/**
+ * Per-escrow mutual exclusion. `run(escrowId, fn)` starts `fn` once every earlier call
+ * for the same escrow has settled, so a status check and the change that follows it
+ * cannot interleave with another request on the same escrow.
+ */
+class EscrowLocks {
+    constructor() {
+        this.tails = new Map(); // escrow id -> promise of the last queued call
+    }
+
+    isLocked(escrowId) {
+        return this.tails.has(escrowId);
+    }
+
+    run(escrowId, fn) {
+        const previous = this.tails.get(escrowId) || Promise.resolve();
+        const result = previous.then(() => fn());
+        // The queue continues whether the call succeeded or not
+        const tail = result.catch(() => {});
+        this.tails.set(escrowId, tail);
+        tail.then(() => {
+            if (this.tails.get(escrowId) === tail) {
+                this.tails.delete(escrowId);
+            }
+        });
+        return result;
+    }
+}
+
+module.exports = {
+    ESCROW_TRANSITIONS,
+    TRANSITIONAL_STATES,
+    EscrowLocks,
+    canTransition,
+    transitionEscrow
+};
@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+
+// Bump whenever the shape of persisted records changes and add a migration below
+const SCHEMA_VERSION = 1;
+
+const SNAPSHOT_FILE = 'store.snapshot.json';
+const JOURNAL_FILE = 'store.journal';
+
+// Migrations keyed by the schema version they upgrade from. Each receives the
+// raw collections object ({ name: [[key, value], ...] }) and returns it upgraded.
+const MIGRATIONS = {};
+
+// JSON does not know BigInt, escrow amounts are stored tagged
+function encode(value) {
+    return JSON.stringify(value, (key, val) =>
+        typeof val === 'bigint' ? { $bigint: val.toString() } : val
+    );
+}
+
+function decode(text) {
+    return JSON.parse(text, (key, val) => {
+        if (val && typeof val === 'object' && typeof val.$bigint === 'string' && Object.keys(val).length === 1) {
+            return BigInt(val.$bigint);
+        }
+        return val;
+    });
+}
+
+/**
+ * Map whose mutations are written to the store journal before they are applied.
+ * Values mutated in place must be written back with `set` to be persisted.
+ */
+class JournaledMap extends Map {
+    constructor(store, name) {
+        super();
+        this.store = store;
+        this.name = name;
+    }
+
+    set(key, value) {
+        this.store.append({ op: 'set', collection: this.name, key, value });
+        return super.set(key, value);
+    }
+
+    delete(key) {
+        if (!super.has(key)) {
+            return false;
+        }
+        this.store.append({ op: 'delete', collection: this.name, key });
+        return super.delete(key);
+    }
+
+    clear() {
+        for (const key of [...this.keys()]) {
+            this.delete(key);
+        }
+    }
+
+    // Used by recovery, bypasses the journal
+    restore(key, value) {
+        return super.set(key, value);
+    }
+}
+
+/**
+ * Durable key/value collections backed by a snapshot file and a write-ahead journal.
+ *
+ * Every mutation is appended (and fsynced) to the journal before it becomes visible
+ * in memory. On startup `recover()` loads the last snapshot, replays the journal on
+ * top of it, migrates old schema versions and compacts everything into a new snapshot.
+ */
+class EscrowStore {
+    constructor(config = {}) {
+        if (!config.dataDir) {
+            throw new Error('EscrowStore requires a dataDir');
+        }
+        this.dataDir = config.dataDir;
+        this.compactEvery = config.compactEvery || 1000;
+        this.fsync = config.fsync !== false;
+
+        this.snapshotPath = path.join(this.dataDir, SNAPSHOT_FILE);
+        this.journalPath = path.join(this.dataDir, JOURNAL_FILE);
+
+        this.collections = new Map();
+        this.seq = 0;
+        this.journalFd = null;
+        this.journalEntries = 0;
+    }
+
+    // Get (or create) a named collection
+    collection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new JournaledMap(this, name));
+        }
+        return this.collections.get(name);
+    }
+
+    isOpen() {
+        return this.journalFd !== null;
+    }
+
+    // Load snapshot + journal, migrate and compact. Returns the number of records per collection.
+    recover() {
+        fs.mkdirSync(this.dataDir, { recursive: true, mode: 0o700 });
+
+        let schemaVersion = SCHEMA_VERSION;
+        let raw = {};
+
+        if (fs.existsSync(this.snapshotPath)) {
+            const snapshot = decode(fs.readFileSync(this.snapshotPath, 'utf8'));
+            schemaVersion = snapshot.schemaVersion;
+            this.seq = snapshot.seq || 0;
+            raw = snapshot.collections || {};
+        }
+
+        const journalVersion = this.replayJournal(raw);
+        if (journalVersion !== null && !fs.existsSync(this.snapshotPath)) {
+            schemaVersion = journalVersion;
+        }
+
+        raw = this.migrate(raw, schemaVersion);
+
+        for (const [name, entries] of Object.entries(raw)) {
+            const collection = this.collection(name);
+            for (const [key, value] of entries) {
+                collection.restore(key, value);
+            }
+        }
+
+        this.compact();
+
+        const stats = {};
+        for (const [name, collection] of this.collections) {
+            stats[name] = collection.size;
+        }
+        return stats;
+    }
+
+    // Apply journal entries newer than the snapshot onto the raw collections
+    replayJournal(raw) {
+        if (!fs.existsSync(this.journalPath)) {
+            return null;
+        }
+
+        const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+        const state = {};
+        for (const [name, entries] of Object.entries(raw)) {
+            state[name] = new Map(entries);
+        }
+
+        let journalVersion = null;
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            if (!line.trim()) {
+                continue;
+            }
+
+            let entry;
+            try {
+                entry = decode(line);
+            } catch (error) {
+                // A torn final line means we crashed mid-append; that write was never acknowledged
+                if (lines.slice(i + 1).every(rest => !rest.trim())) {
+                    console.warn(`Discarding incomplete journal entry at line ${i + 1}`);
+                    break;
+                }
+                throw new Error(`Escrow store journal is corrupt at line ${i + 1}: ${error.message}`);
+            }
+
+            if (entry.op === 'header') {
+                journalVersion = entry.schemaVersion;
+                continue;
+            }
+            if (entry.seq <= this.seq) {
+                continue;
+            }
+
+            const collection = state[entry.collection] || (state[entry.collection] = new Map());
+            if (entry.op === 'set') {
+                collection.set(entry.key, entry.value);
+            } else if (entry.op === 'delete') {
+                collection.delete(entry.key);
+            } else {
+                throw new Error(`Unknown journal operation "${entry.op}" at line ${i + 1}`);
+            }
+            this.seq = entry.seq;
+        }
+
+        for (const name of Object.keys(state)) {
+            raw[name] = [...state[name].entries()];
+        }
+        return journalVersion;
+    }
+
+    migrate(raw, fromVersion) {
+        if (fromVersion > SCHEMA_VERSION) {
+            throw new Error(`Escrow store schema v${fromVersion} is newer than supported v${SCHEMA_VERSION}`);
+        }
+
+        let migrated = raw;
+        for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+            const migration = MIGRATIONS[version];
+            if (!migration) {
+                throw new Error(`No migration from escrow store schema v${version}`);
+            }
+            console.log(`Migrating escrow store from schema v${version} to v${version + 1}`);
+            migrated = migration(migrated);
+        }
+        return migrated;
+    }
+
+    append(entry) {
+        if (!this.isOpen()) {
+            throw new Error('Escrow store is not open, call recover() first');
+        }
+
+        this.seq += 1;
+        fs.writeSync(this.journalFd, encode({ seq: this.seq, ...entry }) + '\n');
+        if (this.fsync) {
+            fs.fsyncSync(this.journalFd);
+        }
+
+        this.journalEntries += 1;
+        if (this.journalEntries >= this.compactEvery) {
+            // Compaction runs after the entry is durable; the caller applies it to memory right after
+            queueMicrotask(() => this.compact());
+        }
+    }
+
+    // Write all collections into a fresh snapshot and start an empty journal
+    compact() {
+        const collections = {};
+        for (const [name, collection] of this.collections) {
+            collections[name] = [...collection.entries()];
+        }
+
+        const snapshot = {
+            schemaVersion: SCHEMA_VERSION,
+            seq: this.seq,
+            savedAt: new Date().toISOString(),
+            collections
+        };
+
+        const tmpPath = `${this.snapshotPath}.tmp`;
+        const fd = fs.openSync(tmpPath, 'w', 0o600);
+        try {
+            fs.writeSync(fd, encode(snapshot));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpPath, this.snapshotPath);
+
+        if (this.journalFd !== null) {
+            fs.closeSync(this.journalFd);
+        }
+        this.journalFd = fs.openSync(this.journalPath, 'w', 0o600);
+        fs.writeSync(this.journalFd, encode({ op: 'header', schemaVersion: SCHEMA_VERSION }) + '\n');
+        fs.fsyncSync(this.journalFd);
+        this.journalEntries = 0;
+    }
+
+    close() {
+        if (!this.isOpen()) {
+            return;
+        }
+        this.compact();
+        fs.closeSync(this.journalFd);
+        this.journalFd = null;
+    }
+}
+
+module.exports = {
+    EscrowStore,
+    SCHEMA_VERSION
+};
@@ -0,0 +1,83 @@
+const { EventEmitter } = require('events');
+
+const DEFAULT_RETENTION = 10000;
+
+/**
+ * Persisted, ordered log of escrow lifecycle events.
+ *
+ * Every event gets the next sequence number as its id, which doubles as the cursor
+ * subscribers resume from. Only the latest `retention` events are kept. New events
+ * are also emitted as `event` for live subscribers.
+ */
+class EventLog extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        if (!config.collection) {
+            throw new Error('EventLog requires a store collection');
+        }
+        this.collection = config.collection;
+        this.retention = config.retention || DEFAULT_RETENTION;
+        this.lastId = 0;
+        this.setMaxListeners(0);
+    }
+
+    // Continue numbering after the recovered events
+    recover() {
+        for (const id of this.collection.keys()) {
+            this.lastId = Math.max(this.lastId, id);
+        }
+    }
+
+    /**
+     * Append an event and notify live subscribers
+     * @param {Object} event - { type, escrowId, orderHash, addresses, status, data }
+     * @returns {Object} The stored event with its `id` and `at` (unix seconds)
+     */
+    append(event) {
+        const stored = { id: this.lastId + 1, at: Math.floor(Date.now() / 1000), ...event };
+        this.lastId = stored.id;
+        this.collection.set(stored.id, stored);
+
+        // Keys are in insertion order, so the oldest events come first
+        for (const id of this.collection.keys()) {
+            if (this.collection.size <= this.retention) {
+                break;
+            }
+            this.collection.delete(id);
+        }
+
+        this.emit('event', stored);
+        return stored;
+    }
+
+    // Events after a cursor that match a filter, oldest first
+    since(cursor, filter) {
+        return [...this.collection.values()].filter(event => event.id > cursor && filter(event));
+    }
+
+    oldestId() {
+        const first = this.collection.keys().next();
+        return first.done ? this.lastId + 1 : first.value;
+    }
+}
+
+/**
+ * Build a subscription filter
+ * @param {Object} query - { escrowId, address, types } where types is a list or comma separated
+ * @returns {Function} Predicate over events
+ */
+function eventFilter(query = {}) {
+    const escrowId = query.escrowId ? String(query.escrowId).toLowerCase() : null;
+    const address = query.address ? String(query.address) : null;
+    const types = query.types
+        ? new Set((Array.isArray(query.types) ? query.types : String(query.types).split(',')).map(type => type.trim()))
+        : null;
+    return event => (!escrowId || event.escrowId.toLowerCase() === escrowId) &&
+        (!address || event.addresses.includes(address)) &&
+        (!types || types.has(event.type));
+}
+
+module.exports = {
+    EventLog,
+    eventFilter
+};
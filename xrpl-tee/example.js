@@ -12,6 +12,8 @@ const { XRPLEscrowClient, XRPLEscrowUtils } = require('./client.js');
 const config = {
     // TEE Server
     teeServerUrl: 'http://localhost:3000',
+    // Identity address receipts must be signed by, the `identity.address` of GET /attestation
+    teeSigner: process.env.TEE_SIGNER,
     
     // XRPL Configuration
     xrplNetwork: 'wss://s.altnet.rippletest.net:51233', // Testnet
@@ -42,7 +44,7 @@ async function runCompleteSwapExample() {
     console.log('=====================================\n');
 
     // Initialize clients
-    const teeClient = new XRPLEscrowClient({ baseUrl: config.teeServerUrl });
+    const teeClient = new XRPLEscrowClient({ baseUrl: config.teeServerUrl, teeSigner: config.teeSigner });
     const xrplClient = new xrpl.Client(config.xrplNetwork);
     await xrplClient.connect();
 
@@ -173,7 +175,7 @@ async function runCompleteSwapExample() {
         const withdrawResult = await teeClient.withdraw(
             escrow.escrowId,
             secret,
-            config.taker.xrplWallet.address
+            config.taker.xrplWallet
         );
 
         console.log(`✅ Withdrawal successful!`);
@@ -205,7 +207,7 @@ async function runCompleteSwapExample() {
         if (error.escrowId) {
             console.log('\n🔄 Attempting to cancel escrow...');
             try {
-                await teeClient.cancel(error.escrowId, config.taker.xrplWallet.address);
+                await teeClient.cancel(error.escrowId, config.taker.xrplWallet);
                 console.log('✅ Escrow cancelled, funds returned');
             } catch (cancelError) {
                 console.error('❌ Cancellation also failed:', cancelError.message);
@@ -285,10 +287,10 @@ async function testTimeLockExample() {
  * Example: Health monitoring
  */
 async function monitoringExample() {
-    console.log('\n📊 Health Monitoring Example');
-    console.log('============================');
+    console.log('\n📊 Health and Event Monitoring Example');
+    console.log('======================================');
     
-    const client = new XRPLEscrowClient({ baseUrl: config.teeServerUrl });
+    const client = new XRPLEscrowClient({ baseUrl: config.teeServerUrl, teeSigner: config.teeSigner });
     
     try {
         const health = await client.getHealth();
@@ -297,6 +299,17 @@ async function monitoringExample() {
     } catch (error) {
         console.error('❌ Health check failed:', error.message);
     }
+
+    // Follow escrow lifecycle events for a few seconds
+    try {
+        const subscription = await client.subscribeEvents({}, event => {
+            console.log(`Event #${event.id}: ${event.type} on escrow ${event.escrowId} (status "${event.status}")`);
+        });
+        await new Promise(resolve => setTimeout(resolve, 10000));
+        subscription.close();
+    } catch (error) {
+        console.error('❌ Event subscription failed:', error.message);
+    }
 }
 
 // Main execution
@@ -0,0 +1,116 @@
+const xrpl = require('xrpl');
+const { isXrp } = require('./tokens');
+
+const DEFAULT_MAX_FEE = 2000; // drops per fee unit (one reference transaction) the TEE pays at most
+const REFERENCE_FULFILLMENT_UNITS = 33; // EscrowFinish with a fulfillment costs 33 + size / 16 units
+const PREIMAGE_FULFILLMENT_BYTES = 36; // A0 22 80 20 <32 byte preimage>
+
+// Fee units of an EscrowFinish carrying a fulfillment of `size` bytes
+function fulfillmentUnits(size) {
+    return BigInt(REFERENCE_FULFILLMENT_UNITS + Math.ceil(size / 16));
+}
+
+/**
+ * Network costs of escrow accounts: reserves and transaction fees read from the connected node.
+ *
+ * Reserves come from `server_info` (validated ledger), the fee from `fee` (open ledger fee,
+ * which rises under load). The TEE pays at most `maxFee` drops per fee unit; transactions
+ * are refused rather than sent above it. Deposits are quoted at the cap, so an escrow
+ * account can always pay its own transactions; what is left is returned when the account
+ * is deleted.
+ */
+class FeeModel {
+    constructor(config = {}) {
+        if (!config.client) {
+            throw new Error('FeeModel requires an XRPL client');
+        }
+        this.client = config.client;
+        this.maxFee = BigInt(config.maxFee || DEFAULT_MAX_FEE);
+    }
+
+    /**
+     * Current reserves of the validated ledger
+     * @returns {Promise<Object>} { baseReserve, ownerReserve } in drops
+     */
+    async reserves() {
+        const { result } = await this.client.request({ command: 'server_info' });
+        const ledger = result.info?.validated_ledger;
+        if (!ledger) {
+            throw new Error('Connected node has no validated ledger, reserves are unknown');
+        }
+        return {
+            baseReserve: BigInt(xrpl.xrpToDrops(ledger.reserve_base_xrp)),
+            ownerReserve: BigInt(xrpl.xrpToDrops(ledger.reserve_inc_xrp))
+        };
+    }
+
+    /**
+     * Fee per unit to get into the open ledger now
+     * @returns {Promise<bigint>} Drops
+     * @throws {Error} If it is above the cap
+     */
+    async unitFee() {
+        const { result } = await this.client.request({ command: 'fee' });
+        const fee = BigInt(result.drops.open_ledger_fee) > BigInt(result.drops.base_fee)
+            ? BigInt(result.drops.open_ledger_fee)
+            : BigInt(result.drops.base_fee);
+        if (fee > this.maxFee) {
+            throw new Error(`Network fee of ${fee} drops is above the cap of ${this.maxFee} drops, try again later`);
+        }
+        return fee;
+    }
+
+    /**
+     * Fee to set on a transaction
+     * @param {Object} tx - Transaction to send
+     * @returns {Promise<string>} Drops
+     */
+    async transactionFee(tx) {
+        const unit = await this.unitFee();
+        if (tx.TransactionType === 'EscrowFinish' && tx.Fulfillment) {
+            return (unit * fulfillmentUnits(tx.Fulfillment.length / 2)).toString();
+        }
+        if (tx.TransactionType === 'AccountDelete') {
+            // The ledger burns one owner reserve for deleting an account
+            const { ownerReserve } = await this.reserves();
+            return (ownerReserve > unit ? ownerReserve : unit).toString();
+        }
+        return unit.toString();
+    }
+
+    /**
+     * XRP an escrow account needs on top of what it pays out
+     * @param {Object} escrow - { token, mode }
+     * @returns {Promise<Object>} { reserve, fees } in drops: the base reserve (plus one owner reserve
+     *   for a trust line or native escrow) and the fees of every transaction the account sends,
+     *   including the overpayment refund and the AccountDelete that return what is left
+     * @throws {Error} If the network fee is above the cap
+     */
+    async quote({ token, mode }) {
+        await this.unitFee();
+        const { baseReserve, ownerReserve } = await this.reserves();
+        const issued = !isXrp(token);
+        const native = mode === 'native';
+
+        let units = 0n;
+        // Trust line setup and removal, or the native EscrowCreate
+        units += issued ? 2n : (native ? 1n : 0n);
+        // The more expensive payout: EscrowFinish or payment, then the safety deposit,
+        // or EscrowCancel, principal and safety deposit
+        const withdrawal = (native ? fulfillmentUnits(PREIMAGE_FULFILLMENT_BYTES) : 1n) + 1n;
+        const cancellation = (native ? 1n : 0n) + 2n;
+        units += withdrawal > cancellation ? withdrawal : cancellation;
+        // Refund of an overpaying depositor before the account is deleted, see reclaimPayouts
+        units += 1n;
+
+        const accountDelete = ownerReserve > this.maxFee ? ownerReserve : this.maxFee;
+        return {
+            reserve: baseReserve + (issued || native ? ownerReserve : 0n),
+            fees: units * this.maxFee + accountDelete
+        };
+    }
+}
+
+module.exports = {
+    FeeModel
+};
@@ -0,0 +1,119 @@
+const xrpl = require('xrpl');
+const { isXrp, sameToken, sumValues } = require('./tokens');
+
+const TF_PARTIAL_PAYMENT = 0x00020000;
+
+/**
+ * Checks that funding transactions really paid an escrow account.
+ *
+ * A transaction only counts when it is a Payment in a validated ledger with result
+ * `tesSUCCESS`, sent from the declared account to the escrow account after the escrow
+ * was created, without `tfPartialPayment`. Only `delivered_amount` is ever credited, in XRP
+ * or in the escrow's issued currency.
+ */
+class FundingVerifier {
+    constructor(config = {}) {
+        if (!config.client) {
+            throw new Error('FundingVerifier requires an XRPL client');
+        }
+        this.client = config.client;
+    }
+
+    /**
+     * Verify one funding transaction
+     * @param {string} txHash - Transaction hash
+     * @param {Object} expected - { destination, fromAddress, token?, createdLedgerIndex?, createdAt? }
+     * @returns {Promise<Object>} Verdict { txHash, valid, errors, account, ledgerIndex, amount }
+     */
+    async verifyTransaction(txHash, expected) {
+        const verdict = { txHash, valid: false, errors: [], account: null, ledgerIndex: null, amount: '0' };
+
+        let result;
+        try {
+            result = (await this.client.request({ command: 'tx', transaction: txHash })).result;
+        } catch (error) {
+            verdict.errors.push(`Transaction not found: ${error.message}`);
+            return verdict;
+        }
+
+        const tx = result.tx_json || result;
+        verdict.account = tx.Account;
+        verdict.ledgerIndex = result.ledger_index ?? null;
+
+        if (!result.validated) {
+            verdict.errors.push('Transaction is not in a validated ledger');
+        }
+        if (result.meta?.TransactionResult !== 'tesSUCCESS') {
+            verdict.errors.push(`Transaction result is ${result.meta?.TransactionResult}`);
+        }
+        if (tx.TransactionType !== 'Payment') {
+            verdict.errors.push(`Transaction type is ${tx.TransactionType}`);
+        }
+        if (tx.Destination !== expected.destination) {
+            verdict.errors.push('Payment not sent to escrow address');
+        }
+        if (tx.Account !== expected.fromAddress) {
+            verdict.errors.push(`Payment sent by ${tx.Account}, declared ${expected.fromAddress}`);
+        }
+        if (typeof tx.Flags === 'number' && (tx.Flags & TF_PARTIAL_PAYMENT) !== 0) {
+            verdict.errors.push('Partial payments are not accepted');
+        }
+        if (!this.isAfterCreation(result, tx, expected)) {
+            verdict.errors.push('Payment was made before the escrow was created');
+        }
+
+        const delivered = result.meta?.delivered_amount;
+        if (typeof delivered === 'string' && /^\d+$/.test(delivered)) {
+            verdict.amount = delivered;
+        } else if (!isXrp(expected.token) && sameToken(expected.token, delivered)) {
+            verdict.amount = { currency: delivered.currency, issuer: delivered.issuer, value: delivered.value };
+        } else {
+            verdict.errors.push('Delivered amount is neither XRP nor the escrow token');
+        }
+
+        verdict.valid = verdict.errors.length === 0;
+        return verdict;
+    }
+
+    isAfterCreation(result, tx, expected) {
+        if (expected.createdLedgerIndex != null) {
+            return result.ledger_index > expected.createdLedgerIndex;
+        }
+        // Escrows created before ledger indexes were recorded fall back to close time
+        const closeTime = result.close_time_iso
+            ? Math.floor(Date.parse(result.close_time_iso) / 1000)
+            : tx.date != null ? xrpl.rippleTimeToUnixTime(tx.date) / 1000 : null;
+        return closeTime !== null && closeTime >= expected.createdAt;
+    }
+
+    /**
+     * Verify a set of funding transactions
+     * @param {Array<{ txHash: string, fromAddress: string }>} funding - Declared deposits
+     * @param {Object} expected - { destination, token?, createdLedgerIndex?, createdAt? }
+     * @returns {Promise<Object>} { valid, totalAmount (BigInt drops), totalToken (decimal string), verdicts }
+     */
+    async verifyAll(funding, expected) {
+        const verdicts = [];
+        for (const { txHash, fromAddress } of funding) {
+            verdicts.push(await this.verifyTransaction(txHash, { ...expected, fromAddress }));
+        }
+        const valid = verdicts.every(verdict => verdict.valid);
+        return { valid, ...sumDeposits(verdicts.filter(verdict => verdict.valid)), verdicts };
+    }
+}
+
+// Totals of credited deposits: XRP drops and the issued currency value
+function sumDeposits(deposits) {
+    const xrpAmounts = deposits.filter(deposit => typeof deposit.amount === 'string');
+    const tokenAmounts = deposits.filter(deposit => typeof deposit.amount === 'object');
+    return {
+        totalAmount: xrpAmounts.reduce((sum, deposit) => sum + BigInt(deposit.amount), 0n),
+        totalToken: sumValues(tokenAmounts.map(deposit => deposit.amount.value))
+    };
+}
+
+module.exports = {
+    FundingVerifier,
+    sumDeposits,
+    TF_PARTIAL_PAYMENT
+};
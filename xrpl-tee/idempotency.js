@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+
+const DEFAULT_TTL = 24 * 3600; // seconds a key and its response are kept
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Idempotency keys for POST requests.
+ *
+ * A client sends a unique `Idempotency-Key` header with every POST and keeps it when it
+ * retries. The first request with a key runs normally and its response is stored, sealed
+ * by the key manager since it may hold secrets; later requests with the same key get the
+ * stored response back (marked `Idempotent-Replayed: true`) instead of running again. A key
+ * belongs to one request: reusing it for another endpoint or body is rejected with 422,
+ * and a duplicate that arrives while the first request is still running gets 409.
+ *
+ * Server errors (5xx) and conflicts (409, 429) are not stored, a retry with the same key
+ * runs the request again, which the escrow state machine makes safe for payouts.
+ */
+class IdempotencyKeys {
+    constructor(config = {}) {
+        if (!config.collection || !config.keyManager) {
+            throw new Error('IdempotencyKeys requires a store collection and a key manager');
+        }
+        this.keys = config.collection;
+        this.keyManager = config.keyManager;
+        this.ttl = config.ttl || DEFAULT_TTL;
+    }
+
+    // Requests that were running when the server stopped never answered, let them run again
+    recover() {
+        for (const record of [...this.keys.values()]) {
+            if (record.status === 'processing') {
+                this.keys.delete(record.key);
+            }
+        }
+    }
+
+    // Hash of what the key was used for, including the credentials so another caller cannot replay it
+    fingerprint(req) {
+        return crypto.createHash('sha256')
+            .update(`${req.method} ${req.path}\n${req.get('Authorization') || ''}\n${JSON.stringify(req.body ?? {})}`)
+            .digest('hex');
+    }
+
+    storable(statusCode) {
+        return statusCode < 500 && statusCode !== 409 && statusCode !== 429;
+    }
+
+    /**
+     * Express middleware, must run after the body parser
+     * @returns {Function} (req, res, next)
+     */
+    middleware() {
+        return (req, res, next) => {
+            const key = req.get('Idempotency-Key');
+            if (req.method !== 'POST' || key === undefined) {
+                return next();
+            }
+            if (!key || key.length > MAX_KEY_LENGTH) {
+                return res.status(400).json({ error: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters` });
+            }
+
+            this.expire();
+            const fingerprint = this.fingerprint(req);
+            const existing = this.keys.get(key);
+            if (existing) {
+                if (existing.fingerprint !== fingerprint) {
+                    return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+                }
+                if (existing.status === 'processing') {
+                    res.set('Retry-After', '1');
+                    return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress' });
+                }
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(existing.statusCode)
+                    .json(JSON.parse(this.keyManager.unseal(existing.sealedBody).toString()));
+            }
+
+            this.keys.set(key, { key, fingerprint, status: 'processing', createdAt: Math.floor(Date.now() / 1000) });
+            const json = res.json.bind(res);
+            res.json = (body) => {
+                if (this.keys.get(key)?.status === 'processing') {
+                    if (this.storable(res.statusCode)) {
+                        this.keys.set(key, {
+                            ...this.keys.get(key),
+                            status: 'done',
+                            statusCode: res.statusCode,
+                            sealedBody: this.keyManager.seal(JSON.stringify(body))
+                        });
+                    } else {
+                        this.keys.delete(key);
+                    }
+                }
+                return json(body);
+            };
+            // Handlers that end without a JSON response leave nothing to replay. A client that
+            // gave up waiting does not free the key: its retry gets 409 until the response is stored.
+            res.on('finish', () => {
+                if (this.keys.get(key)?.status === 'processing') {
+                    this.keys.delete(key);
+                }
+            });
+            next();
+        };
+    }
+
+    // Forget keys older than the ttl, the collection is in insertion order
+    expire() {
+        const cutoff = Math.floor(Date.now() / 1000) - this.ttl;
+        for (const record of [...this.keys.values()]) {
+            if (record.createdAt > cutoff) {
+                break;
+            }
+            this.keys.delete(record.key);
+        }
+    }
+}
+
+module.exports = {
+    IdempotencyKeys
+};
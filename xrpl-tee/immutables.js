@@ -0,0 +1,56 @@
+const xrpl = require('xrpl');
+const { AbiCoder, hexlify, keccak256, toUtf8Bytes, zeroPadValue } = require('ethers');
+const { XRP_TOKEN, isXrp } = require('./tokens');
+
+// IBaseEscrow.Immutables, with the token and amount as raw words so issued currencies fit
+const IMMUTABLES_TYPES = ['bytes32', 'bytes32', 'address', 'address', 'bytes32', 'uint256', 'uint256', 'uint256'];
+
+// XRPL accounts are encoded as their 20 byte account ID, the same width as an EVM address
+function accountWord(address) {
+    if (!xrpl.isValidClassicAddress(address || '')) {
+        throw new Error(`Invalid XRPL address: ${address}`);
+    }
+    return hexlify(xrpl.decodeAccountID(address));
+}
+
+function bytes32Word(name, value) {
+    if (typeof value !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(value)) {
+        throw new Error(`${name} must be a 32 byte hex string`);
+    }
+    return value.toLowerCase();
+}
+
+/**
+ * Escrow id as EVM ImmutablesLib.hash: keccak256(abi.encode(immutables)).
+ *
+ * XRP is the zero address and its amount is in drops, so XRP escrows hash like their EVM
+ * counterparts with the XRPL account IDs as addresses. Issued currencies have no EVM
+ * encoding, their token word is keccak256("currency/issuer") and their amount word
+ * keccak256 of the decimal value. Timelocks are hashed as packed by the caller, pass them
+ * with deployedAt set to get the same hash as the deployed EVM escrow.
+ * @param {Object} immutables - { orderHash, hashlock, maker, taker, token, amount, safetyDeposit, timelocks }
+ * @returns {string} 0x-prefixed lower case hash
+ */
+function hashImmutables(immutables) {
+    const { orderHash, hashlock, maker, taker, token, amount, safetyDeposit, timelocks } = immutables;
+    const tokenWord = isXrp(token)
+        ? zeroPadValue(XRP_TOKEN, 32)
+        : keccak256(toUtf8Bytes(`${token.currency}/${token.issuer}`));
+    const amountWord = isXrp(token) ? BigInt(amount) : BigInt(keccak256(toUtf8Bytes(amount.toString())));
+
+    const encoded = AbiCoder.defaultAbiCoder().encode(IMMUTABLES_TYPES, [
+        bytes32Word('orderHash', orderHash),
+        bytes32Word('hashlock', hashlock),
+        accountWord(maker),
+        accountWord(taker),
+        tokenWord,
+        amountWord,
+        BigInt(safetyDeposit),
+        BigInt(timelocks)
+    ]);
+    return keccak256(encoded);
+}
+
+module.exports = {
+    hashImmutables
+};
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const xrpl = require('xrpl');
+
+const MASTER_SECRET_BYTES = 32;
+const ROOT_KEY_DOMAIN = 'xrpl-escrow-tee master';
+
+/**
+ * Hardened hierarchical derivation in the style of SLIP-10.
+ *
+ * The master secret is stretched into a root (key, chainCode) pair, then every path
+ * segment is mixed in with HMAC-SHA512(chainCode, 0x00 || key || segment). Knowing a
+ * child key reveals nothing about its parent or siblings.
+ */
+function deriveNode(masterSecret, derivationPath) {
+    const segments = derivationPath.split('/');
+    if (segments[0] !== 'm') {
+        throw new Error(`Derivation path must start with "m": ${derivationPath}`);
+    }
+
+    let node = crypto.createHmac('sha512', ROOT_KEY_DOMAIN).update(masterSecret).digest();
+    for (const segment of segments.slice(1)) {
+        if (!segment) {
+            throw new Error(`Empty segment in derivation path: ${derivationPath}`);
+        }
+        const data = Buffer.concat([Buffer.alloc(1), node.subarray(0, 32), Buffer.from(segment, 'utf8')]);
+        node = crypto.createHmac('sha512', node.subarray(32)).update(data).digest();
+    }
+
+    return {
+        key: node.subarray(0, 32),
+        chainCode: node.subarray(32)
+    };
+}
+
+/**
+ * Derives one isolated XRPL account per escrow from a single master secret,
+ * so escrow keys can be re-derived after a restart without storing seeds.
+ */
+class EscrowKeyDeriver {
+    constructor(masterSecret) {
+        if (!Buffer.isBuffer(masterSecret) || masterSecret.length !== MASTER_SECRET_BYTES) {
+            throw new Error(`Master secret must be ${MASTER_SECRET_BYTES} bytes`);
+        }
+        this.masterSecret = masterSecret;
+    }
+
+    static escrowPath(escrowId) {
+        return `m/escrow/${escrowId}`;
+    }
+
+    deriveKey(derivationPath) {
+        return deriveNode(this.masterSecret, derivationPath).key;
+    }
+
+    deriveWallet(derivationPath) {
+        // XRPL seeds carry 16 bytes of entropy
+        return xrpl.Wallet.fromEntropy(this.deriveKey(derivationPath).subarray(0, 16));
+    }
+}
+
+module.exports = {
+    EscrowKeyDeriver,
+    deriveNode
+};
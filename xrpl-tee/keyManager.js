@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const xrpl = require('xrpl');
+const { Wallet: EthWallet } = require('ethers');
+const { EscrowKeyDeriver } = require('./keyDerivation');
+const { KeyManager, RoflKmsBackend, LocalFileKmsBackend, createKmsBackend } = require('./kms');
+
+const SEALING_KEY_ID = 'xrpl-escrow-tee/sealing-key/v1';
+const IDENTITY_PATH = 'm/tee/identity';
+
+/**
+ * XRPL signing through the key manager. Escrow keys are referenced by
+ * `{ derivationPath }` (derived from the sealed master secret) or by a legacy
+ * `{ sealedSeed }`; wallets are only materialized for the duration of a signature.
+ */
+class XRPLKeyManager extends KeyManager {
+    #deriver = null;
+
+    constructor(config = {}) {
+        super({ keyId: SEALING_KEY_ID, ...config });
+        this.masterSecretPath = path.join(config.dataDir, 'master.secret.sealed');
+        this.legacyMasterSecretPath = path.join(config.dataDir, 'master.secret');
+    }
+
+    async open() {
+        await super.open();
+
+        // Seal a plaintext master secret written by older versions
+        if (fs.existsSync(this.legacyMasterSecretPath) && !fs.existsSync(this.masterSecretPath)) {
+            const legacy = Buffer.from(fs.readFileSync(this.legacyMasterSecretPath, 'utf8').trim(), 'hex');
+            fs.writeFileSync(this.masterSecretPath, JSON.stringify(this.seal(legacy)), { mode: 0o600, flag: 'wx' });
+            fs.unlinkSync(this.legacyMasterSecretPath);
+            console.log('Sealed legacy plaintext master secret');
+        }
+
+        this.#deriver = new EscrowKeyDeriver(this.loadOrCreateSecret(this.masterSecretPath));
+    }
+
+    #walletFor(keyRef) {
+        if (keyRef.derivationPath) {
+            return this.#deriver.deriveWallet(keyRef.derivationPath);
+        }
+        if (keyRef.sealedSeed) {
+            return xrpl.Wallet.fromSeed(this.unseal(keyRef.sealedSeed).toString('utf8'));
+        }
+        throw new Error('Key reference has neither a derivation path nor a sealed seed');
+    }
+
+    // Public part of an escrow account
+    deriveAccount(derivationPath) {
+        const wallet = this.#deriver.deriveWallet(derivationPath);
+        return {
+            address: wallet.address,
+            publicKey: wallet.publicKey
+        };
+    }
+
+    // secp256k1 key identifying this TEE in attestations, stable across restarts
+    #identityWallet() {
+        return new EthWallet('0x' + this.#deriver.deriveKey(IDENTITY_PATH).toString('hex'));
+    }
+
+    identity() {
+        const wallet = this.#identityWallet();
+        return {
+            address: wallet.address,
+            publicKey: wallet.signingKey.compressedPublicKey
+        };
+    }
+
+    // EIP-191 signature with the identity key
+    signWithIdentity(message) {
+        return this.#identityWallet().signMessageSync(message);
+    }
+
+    signTransaction(keyRef, tx) {
+        const wallet = this.#walletFor(keyRef);
+        if (tx.Account && tx.Account !== wallet.address) {
+            throw new Error(`Key does not control transaction account ${tx.Account}`);
+        }
+        return wallet.sign(tx);
+    }
+}
+
+module.exports = {
+    KeyManager,
+    XRPLKeyManager,
+    RoflKmsBackend,
+    LocalFileKmsBackend,
+    createKmsBackend
+};
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const util = require('util');
+
+const ROFL_APPD_SOCKET = '/run/rofl-appd.sock';
+const MASTER_SECRET_BYTES = 32;
+
+/**
+ * Sealing keys from the ROFL enclave KMS (appd key generation).
+ * The same key id always yields the same key for this app, and only inside the enclave.
+ */
+class RoflKmsBackend {
+    constructor(config = {}) {
+        this.socketPath = config.socketPath || ROFL_APPD_SOCKET;
+    }
+
+    get name() {
+        return 'rofl';
+    }
+
+    getKey(keyId) {
+        const body = JSON.stringify({ key_id: keyId, kind: 'raw-256' });
+        return new Promise((resolve, reject) => {
+            const req = http.request({
+                socketPath: this.socketPath,
+                path: '/rofl/v1/keys/generate',
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body)
+                }
+            }, (res) => {
+                let data = '';
+                res.on('data', chunk => { data += chunk; });
+                res.on('end', () => {
+                    if (res.statusCode !== 200) {
+                        return reject(new Error(`ROFL appd key generation failed with status ${res.statusCode}`));
+                    }
+                    try {
+                        resolve(Buffer.from(JSON.parse(data).key.replace(/^0x/, ''), 'hex'));
+                    } catch (error) {
+                        reject(new Error(`Invalid ROFL appd key response: ${error.message}`));
+                    }
+                });
+            });
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+}
+
+/**
+ * Development stand-in for the enclave KMS: keys are derived from a random file on disk.
+ * Anyone with access to the data directory can unseal, never use it in production.
+ */
+class LocalFileKmsBackend {
+    constructor(config = {}) {
+        if (!config.keyFile) {
+            throw new Error('LocalFileKmsBackend requires a keyFile');
+        }
+        this.keyFile = config.keyFile;
+    }
+
+    get name() {
+        return 'local';
+    }
+
+    async getKey(keyId) {
+        if (!fs.existsSync(this.keyFile)) {
+            fs.mkdirSync(path.dirname(this.keyFile), { recursive: true, mode: 0o700 });
+            fs.writeFileSync(this.keyFile, crypto.randomBytes(32).toString('hex'), { mode: 0o600, flag: 'wx' });
+        }
+        const rootKey = Buffer.from(fs.readFileSync(this.keyFile, 'utf8').trim(), 'hex');
+        return crypto.createHmac('sha256', rootKey).update(keyId).digest();
+    }
+}
+
+// Pick the enclave KMS when appd is reachable, the local file otherwise
+function createKmsBackend(config = {}) {
+    const kind = config.kms || (fs.existsSync(ROFL_APPD_SOCKET) ? 'rofl' : 'local');
+    if (kind === 'rofl') {
+        return new RoflKmsBackend(config);
+    }
+    if (kind === 'local') {
+        console.warn('Using the local file KMS backend, sealed secrets are NOT protected by the enclave');
+        return new LocalFileKmsBackend({ keyFile: path.join(config.dataDir, 'dev-kms.key') });
+    }
+    throw new Error(`Unknown KMS backend: ${kind}`);
+}
+
+/**
+ * Seals secrets with an AES-256-GCM key obtained from a KMS backend.
+ * The sealing key is a private field and the object refuses to be logged or serialized.
+ */
+class KeyManager {
+    #sealingKey = null;
+
+    constructor(config = {}) {
+        if (!config.backend) {
+            throw new Error('KeyManager requires a KMS backend');
+        }
+        this.backend = config.backend;
+        if (!config.keyId) {
+            throw new Error('KeyManager requires a sealing key id');
+        }
+        this.keyId = config.keyId;
+    }
+
+    async open() {
+        const key = await this.backend.getKey(this.keyId);
+        if (key.length !== 32) {
+            throw new Error('Sealing key must be 32 bytes');
+        }
+        this.#sealingKey = key;
+        console.log(`Key manager opened with the ${this.backend.name} KMS backend`);
+    }
+
+    #requireKey() {
+        if (!this.#sealingKey) {
+            throw new Error('Key manager is not open');
+        }
+        return this.#sealingKey;
+    }
+
+    seal(secret) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.#requireKey(), iv);
+        const data = Buffer.concat([cipher.update(Buffer.from(secret)), cipher.final()]);
+        return {
+            sealed: 1,
+            alg: 'aes-256-gcm',
+            iv: iv.toString('hex'),
+            tag: cipher.getAuthTag().toString('hex'),
+            data: data.toString('hex')
+        };
+    }
+
+    unseal(sealed) {
+        if (!sealed || sealed.sealed !== 1) {
+            throw new Error('Not a sealed secret');
+        }
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.#requireKey(), Buffer.from(sealed.iv, 'hex'));
+        decipher.setAuthTag(Buffer.from(sealed.tag, 'hex'));
+        return Buffer.concat([decipher.update(Buffer.from(sealed.data, 'hex')), decipher.final()]);
+    }
+
+    // Load a sealed secret from disk, generating and sealing it on first use
+    loadOrCreateSecret(filePath, size = MASTER_SECRET_BYTES) {
+        if (fs.existsSync(filePath)) {
+            return this.unseal(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        }
+        const secret = crypto.randomBytes(size);
+        fs.writeFileSync(filePath, JSON.stringify(this.seal(secret)), { mode: 0o600, flag: 'wx' });
+        return secret;
+    }
+
+    toJSON() {
+        return `[${this.constructor.name}]`;
+    }
+
+    [util.inspect.custom]() {
+        return `[${this.constructor.name} backend=${this.backend.name}]`;
+    }
+}
+
+module.exports = {
+    KeyManager,
+    RoflKmsBackend,
+    LocalFileKmsBackend,
+    createKmsBackend
+};
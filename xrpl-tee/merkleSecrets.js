@@ -0,0 +1,107 @@
+const { keccak256, concat, solidityPackedKeccak256 } = require('ethers');
+
+// Multiple fill hashlocks carry the number of parts (secrets - 1) in the top 16 bits
+const PARTS_SHIFT = 240n;
+const ROOT_MASK = (1n << PARTS_SHIFT) - 1n;
+
+function toBytes32(value) {
+    return '0x' + BigInt(value).toString(16).padStart(64, '0');
+}
+
+/**
+ * Split a `HashLock.forMultipleFills` hashlock into its parts amount and shortened root
+ * @param {string} hashlock - 32 byte hex hashlock
+ * @returns {Object} { partsAmount, root }
+ */
+function parseMultiFillHashlock(hashlock) {
+    if (typeof hashlock !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(hashlock)) {
+        throw new Error('hashlock must be a 32 byte hex string');
+    }
+    const value = BigInt(hashlock);
+    const partsAmount = Number(value >> PARTS_SHIFT);
+    if (partsAmount < 2) {
+        throw new Error('A multiple fill hashlock needs at least 2 parts');
+    }
+    return { partsAmount, root: toBytes32(value & ROOT_MASK) };
+}
+
+// Leaf of secret `index`: keccak256(abi.encodePacked(uint64 index, bytes32 secretHash))
+function merkleLeaf(index, secretHash) {
+    return solidityPackedKeccak256(['uint64', 'bytes32'], [index, secretHash]);
+}
+
+// Sorted pair hashing, as OpenZeppelin MerkleProof
+function hashPair(a, b) {
+    return BigInt(a) < BigInt(b) ? keccak256(concat([a, b])) : keccak256(concat([b, a]));
+}
+
+function processProof(leaf, proof) {
+    return proof.reduce((node, sibling) => hashPair(node, sibling), leaf);
+}
+
+/**
+ * Check one secret of a multiple fill order against the Merkle root hashlock,
+ * like MerkleStorageInvalidator on the EVM side
+ * @param {Object} fill - { hashlock, secretHash, index, proof }
+ * @throws {Error} If the index is out of range or the proof does not lead to the root
+ */
+function verifyMerkleSecret({ hashlock, secretHash, index, proof }) {
+    const { partsAmount, root } = parseMultiFillHashlock(hashlock);
+    if (!Number.isInteger(index) || index < 0 || index > partsAmount) {
+        throw new Error(`Secret index must be between 0 and ${partsAmount}`);
+    }
+    if (!Array.isArray(proof) || !proof.every(node => /^0x[0-9a-fA-F]{64}$/.test(node))) {
+        throw new Error('Merkle proof must be an array of 32 byte hex strings');
+    }
+
+    const computed = BigInt(processProof(merkleLeaf(index, secretHash), proof)) & ROOT_MASK;
+    if (toBytes32(computed) !== root) {
+        throw new Error('Invalid Merkle proof for secret');
+    }
+}
+
+/**
+ * Merkle tree over the secret hashes of a multiple fill order, in the layout of
+ * OpenZeppelin SimpleMerkleTree (what `HashLock.forMultipleFills` builds)
+ * @param {Array<string>} secretHashes - keccak256 of each secret, in index order
+ * @returns {Object} { hashlock, root, getProof(index) }
+ */
+function buildMerkleTree(secretHashes) {
+    if (secretHashes.length < 3) {
+        throw new Error('A multiple fill order needs at least 3 secrets');
+    }
+    const leaves = secretHashes.map((secretHash, index) => merkleLeaf(index, secretHash));
+    const sorted = leaves
+        .map((leaf, index) => ({ leaf, index }))
+        .sort((a, b) => (BigInt(a.leaf) < BigInt(b.leaf) ? -1 : BigInt(a.leaf) > BigInt(b.leaf) ? 1 : 0));
+
+    const tree = new Array(2 * leaves.length - 1);
+    const position = new Map(); // secret index -> tree position
+    sorted.forEach(({ leaf, index }, i) => {
+        tree[tree.length - 1 - i] = leaf;
+        position.set(index, tree.length - 1 - i);
+    });
+    for (let i = tree.length - 1 - leaves.length; i >= 0; i--) {
+        tree[i] = hashPair(tree[2 * i + 1], tree[2 * i + 2]);
+    }
+
+    const partsAmount = BigInt(leaves.length - 1);
+    return {
+        root: tree[0],
+        hashlock: toBytes32((partsAmount << PARTS_SHIFT) | (BigInt(tree[0]) & ROOT_MASK)),
+        getProof(index) {
+            const proof = [];
+            for (let node = position.get(index); node > 0; node = Math.floor((node - 1) / 2)) {
+                proof.push(tree[node % 2 === 0 ? node - 1 : node + 1]);
+            }
+            return proof;
+        }
+    };
+}
+
+module.exports = {
+    buildMerkleTree,
+    merkleLeaf,
+    parseMultiFillHashlock,
+    verifyMerkleSecret
+};
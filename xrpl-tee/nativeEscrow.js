@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const xrpl = require('xrpl');
+
+// Native escrows only support PREIMAGE-SHA-256 crypto-conditions over a 32 byte secret
+const PREIMAGE_SIZE = 32;
+
+function toBytes(hex) {
+    return Buffer.from(hex.replace(/^0x/, ''), 'hex');
+}
+
+// sha256 hashlock of a secret, the hashlock type native escrows can enforce on ledger
+function sha256Hashlock(secret) {
+    return '0x' + crypto.createHash('sha256').update(toBytes(secret)).digest('hex');
+}
+
+/**
+ * DER encoded PREIMAGE-SHA-256 condition for a sha256 hashlock:
+ * A0 25 (condition) 80 20 <fingerprint> 81 01 <preimage length>
+ */
+function preimageCondition(hashlock) {
+    const fingerprint = toBytes(hashlock);
+    if (fingerprint.length !== 32) {
+        throw new Error('sha256 hashlock must be 32 bytes');
+    }
+    return Buffer.concat([
+        Buffer.from('A0258020', 'hex'),
+        fingerprint,
+        Buffer.from([0x81, 0x01, PREIMAGE_SIZE])
+    ]).toString('hex').toUpperCase();
+}
+
+// DER encoded fulfillment: A0 22 (fulfillment) 80 20 <preimage>
+function preimageFulfillment(secret) {
+    const preimage = toBytes(secret);
+    if (preimage.length !== PREIMAGE_SIZE) {
+        throw new Error(`Secret must be ${PREIMAGE_SIZE} bytes for a native escrow`);
+    }
+    return Buffer.concat([Buffer.from('A0228020', 'hex'), preimage]).toString('hex').toUpperCase();
+}
+
+/**
+ * EscrowCreate locking the escrow amount on ledger until the secret is revealed.
+ * FinishAfter is omitted once the withdrawal window is already open, the ledger
+ * refuses escrows whose FinishAfter lies in the past.
+ * @param {Object} params - { amount, destination, hashlock, finishAfter, cancelAfter, now } (unix seconds),
+ *   `now` from the TEE clock
+ */
+function buildEscrowCreate({ amount, destination, hashlock, finishAfter, cancelAfter, now }) {
+    if (cancelAfter <= now) {
+        throw new Error('Cancellation time has passed, the escrow can no longer be locked on ledger');
+    }
+
+    const tx = {
+        TransactionType: 'EscrowCreate',
+        Amount: amount.toString(),
+        Destination: destination,
+        Condition: preimageCondition(hashlock),
+        CancelAfter: xrpl.unixTimeToRippleTime(cancelAfter * 1000)
+    };
+    if (finishAfter > now) {
+        tx.FinishAfter = xrpl.unixTimeToRippleTime(finishAfter * 1000);
+    }
+    return tx;
+}
+
+function buildEscrowFinish(nativeEscrow, secret) {
+    return {
+        TransactionType: 'EscrowFinish',
+        Owner: nativeEscrow.owner,
+        OfferSequence: nativeEscrow.offerSequence,
+        Condition: nativeEscrow.condition,
+        Fulfillment: preimageFulfillment(secret)
+    };
+}
+
+function buildEscrowCancel(nativeEscrow) {
+    return {
+        TransactionType: 'EscrowCancel',
+        Owner: nativeEscrow.owner,
+        OfferSequence: nativeEscrow.offerSequence
+    };
+}
+
+module.exports = {
+    buildEscrowCancel,
+    buildEscrowCreate,
+    buildEscrowFinish,
+    preimageCondition,
+    preimageFulfillment,
+    sha256Hashlock
+};
@@ -0,0 +1,234 @@
+const DEFAULT_MAX_RESIGNS = 3;
+const DEFAULT_POLL_INTERVAL = 1000; // ms between ledger checks while a transaction is in doubt
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Sends the outgoing transactions of an escrow settlement exactly once.
+ *
+ * A plan lists every transaction of a payout up front, e.g. the withdrawal and the safety
+ * deposit, and is kept in a store collection. Each transaction is signed with its account
+ * `Sequence` and `LastLedgerSequence` and the signed blob is journaled before it is
+ * submitted. After a crash or a lost connection the plan is resumed: a journaled
+ * transaction is looked up by hash, resubmitted unchanged while it can still be validated,
+ * and only signed again (with a fresh sequence) once the ledger proves it never will be,
+ * because the validated ledger passed its `LastLedgerSequence` or the account sequence
+ * moved past it.
+ */
+class PayoutExecutor {
+    constructor(config = {}) {
+        if (!config.client || !config.plans || typeof config.sign !== 'function') {
+            throw new Error('PayoutExecutor requires an XRPL client, a plan collection and a signer');
+        }
+        this.client = config.client;
+        this.plans = config.plans;
+        this.sign = config.sign; // (plan, preparedTx) -> { tx_blob, hash }
+        this.fee = config.fee || null; // async tx -> Fee in drops, throws to refuse sending it
+        this.maxResigns = config.maxResigns || DEFAULT_MAX_RESIGNS;
+        this.pollInterval = config.pollInterval || DEFAULT_POLL_INTERVAL;
+    }
+
+    /**
+     * Journal the payout plan of a settlement, or return the unfinished plan with the same id
+     * @param {Object} plan - { id, escrowId, kind, account, txs: [{ label, tx, ...details }], context }
+     * @returns {Object} The stored plan
+     */
+    plan({ id, escrowId, kind, account, txs, context = {} }) {
+        const existing = this.plans.get(id);
+        if (existing?.status === 'pending') {
+            return existing;
+        }
+        if (existing?.txs.some(entry => entry.status === 'validated')) {
+            throw new Error(`Payout ${id} already sent transactions, retry it instead of planning it again`);
+        }
+        const plan = {
+            id,
+            escrowId,
+            kind,
+            account,
+            context,
+            status: 'pending',
+            txs: txs.map(entry => ({ ...entry, status: 'planned' })),
+            createdAt: Math.floor(Date.now() / 1000)
+        };
+        this.plans.set(id, plan);
+        return plan;
+    }
+
+    pending() {
+        return [...this.plans.values()].filter(plan => plan.status === 'pending');
+    }
+
+    // Mark a failed plan pending again, its failed transactions are signed anew
+    retry(planId) {
+        const plan = this.plans.get(planId);
+        if (plan?.status !== 'failed') {
+            throw new Error(`Payout ${planId} has not failed`);
+        }
+        this.save({ ...plan, status: 'pending', error: null });
+    }
+
+    save(plan) {
+        this.plans.set(plan.id, plan);
+        return plan;
+    }
+
+    /**
+     * Send the transactions of a plan in order, skipping those already validated
+     * @param {string} planId - Plan id
+     * @param {Function} onValidated - Called with (entry, plan) once for every validated transaction,
+     *   also for transactions validated before a crash, to record them on the escrow
+     * @returns {Promise<Object>} The finished plan
+     * @throws {Error} If a transaction fails on ledger (the plan is marked failed), or its outcome
+     *   could not be determined (the plan stays pending and is resumed later)
+     */
+    async execute(planId, onValidated) {
+        let plan = this.plans.get(planId);
+        for (let i = 0; i < plan.txs.length; i++) {
+            let entry = plan.txs[i];
+            if (entry.status === 'failed') {
+                plan = this.update(plan, i, { status: 'planned', result: null });
+            }
+            if (entry.status !== 'validated') {
+                plan = await this.settle(plan, i);
+                entry = plan.txs[i];
+            }
+            if (entry.status === 'failed') {
+                const error = entry.hash
+                    ? `${entry.label} transaction ${entry.hash} failed: ${entry.result}`
+                    : `${entry.label} transaction not sent: ${entry.result}`;
+                plan = this.save({ ...plan, status: 'failed', error });
+                throw new Error(plan.error);
+            }
+            if (!entry.applied) {
+                await onValidated(entry, plan);
+                plan = this.update(this.plans.get(planId), i, { applied: true });
+            }
+        }
+        return this.save({ ...plan, status: 'done', finishedAt: Math.floor(Date.now() / 1000) });
+    }
+
+    update(plan, index, changes) {
+        const txs = plan.txs.map((entry, i) => (i === index ? { ...entry, ...changes } : entry));
+        return this.save({ ...plan, txs });
+    }
+
+    // Sign if needed, submit and wait until the transaction is validated or can never be
+    async settle(plan, index) {
+        for (let signed = 0; ; ) {
+            let entry = plan.txs[index];
+            if (entry.status === 'planned') {
+                if (signed++ > this.maxResigns) {
+                    throw new Error(
+                        `${entry.label} transaction of payout ${plan.id} was not validated after ${this.maxResigns} attempts`
+                    );
+                }
+                let fee;
+                try {
+                    fee = this.fee ? await this.fee(entry.tx) : undefined;
+                } catch (error) {
+                    // Nothing of this transaction is in flight, so the plan can fail and be retried later
+                    return this.update(plan, index, {
+                        status: 'failed',
+                        result: error.message,
+                        hash: null,
+                        expiredHashes: entry.hash ? [...(entry.expiredHashes || []), entry.hash] : entry.expiredHashes
+                    });
+                }
+                const prepared = await this.client.autofill({
+                    ...entry.tx,
+                    Account: plan.account,
+                    ...(fee ? { Fee: fee } : {})
+                });
+                const { tx_blob: txBlob, hash } = this.sign(plan, prepared);
+                // Journaled before submission, so a crash cannot leave an unknown transaction behind
+                plan = this.update(plan, index, {
+                    status: 'signed',
+                    txBlob,
+                    hash,
+                    sequence: prepared.Sequence,
+                    lastLedgerSequence: prepared.LastLedgerSequence,
+                    expiredHashes: entry.hash ? [...(entry.expiredHashes || []), entry.hash] : entry.expiredHashes
+                });
+                entry = plan.txs[index];
+            }
+
+            const outcome = await this.submit(plan.account, entry);
+            if (outcome.result) {
+                return this.update(plan, index, {
+                    status: outcome.result === 'tesSUCCESS' ? 'validated' : 'failed',
+                    result: outcome.result,
+                    ledgerIndex: outcome.ledgerIndex
+                });
+            }
+            console.warn(`${entry.label} transaction ${entry.hash} of payout ${plan.id} expired, signing it again`);
+            plan = this.update(plan, index, { status: 'planned' });
+        }
+    }
+
+    // { result, ledgerIndex } once validated, { expired: true } once it can no longer be
+    async submit(account, entry) {
+        const known = await this.lookup(entry.hash);
+        if (known) {
+            return known;
+        }
+        try {
+            const { result } = await this.client.submitAndWait(entry.txBlob);
+            return { result: result.meta.TransactionResult, ledgerIndex: result.ledger_index };
+        } catch (error) {
+            console.warn(`Submission of ${entry.hash} did not confirm (${error.message}), checking the ledger`);
+        }
+
+        for (;;) {
+            // Check expiry first: a transaction validated in between is then still found by the lookup
+            const expired = await this.cannotApply(account, entry);
+            const found = await this.lookup(entry.hash);
+            if (found) {
+                return found;
+            }
+            if (expired) {
+                return { expired: true };
+            }
+            await sleep(this.pollInterval);
+        }
+    }
+
+    async lookup(hash) {
+        try {
+            const { result } = await this.client.request({ command: 'tx', transaction: hash });
+            if (result?.validated) {
+                return { result: result.meta.TransactionResult, ledgerIndex: result.ledger_index };
+            }
+        } catch (error) {
+            if (error.data?.error !== 'txnNotFound') {
+                throw error;
+            }
+        }
+        return null;
+    }
+
+    // Past its LastLedgerSequence, or its sequence was consumed by another transaction
+    async cannotApply(account, entry) {
+        const validatedLedger = await this.client.getLedgerIndex();
+        if (validatedLedger > entry.lastLedgerSequence) {
+            return true;
+        }
+        try {
+            const { result } = await this.client.request({
+                command: 'account_info',
+                account,
+                ledger_index: 'validated'
+            });
+            return result.account_data.Sequence > entry.sequence;
+        } catch (error) {
+            if (error.data?.error === 'actNotFound') {
+                return true;
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = {
+    PayoutExecutor
+};
@@ -0,0 +1,96 @@
+const { keccak256, toUtf8Bytes, getBytes, verifyMessage } = require('ethers');
+
+const RECEIPT_VERSION = 1;
+
+// JSON with sorted keys so the signed bytes do not depend on property order
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+    }
+    if (typeof value === 'bigint') {
+        return JSON.stringify(value.toString());
+    }
+    return JSON.stringify(value);
+}
+
+// What the TEE commits to for one escrow state transition
+function buildReceiptPayload(escrow, event, txHashes = []) {
+    return {
+        version: RECEIPT_VERSION,
+        event,
+        escrowId: escrow.id,
+        orderHash: escrow.orderHash,
+        hashlock: escrow.hashlock,
+        maker: escrow.maker,
+        taker: escrow.taker,
+        token: escrow.token,
+        amount: escrow.amount.toString(),
+        safetyDeposit: escrow.safetyDeposit.toString(),
+        timelocks: escrow.timelocks,
+        mode: escrow.mode,
+        hashAlgorithm: escrow.hashAlgorithm,
+        status: escrow.status,
+        txHashes: txHashes.filter(Boolean),
+        issuedAt: Math.floor(Date.now() / 1000)
+    };
+}
+
+function receiptDigest(payload) {
+    return keccak256(toUtf8Bytes(canonicalize(payload)));
+}
+
+/**
+ * Sign a receipt payload with the TEE identity key (EIP-191 over the digest)
+ * @param {Object} keyManager - XRPLKeyManager holding the identity key
+ * @param {Object} payload - Receipt payload from buildReceiptPayload
+ * @returns {Object} Signed receipt { payload, digest, signature, signer }
+ */
+function signReceipt(keyManager, payload) {
+    const digest = receiptDigest(payload);
+    return {
+        payload,
+        digest,
+        signature: keyManager.signWithIdentity(getBytes(digest)),
+        signer: keyManager.identity().address
+    };
+}
+
+/**
+ * Verify a signed receipt
+ * @param {Object} receipt - Signed receipt
+ * @param {string} expectedSigner - Attested or pinned TEE identity address
+ * @returns {Object} The verified payload
+ * @throws {Error} If there is no expected signer, or the digest or signature do not match
+ */
+function verifyReceipt(receipt, expectedSigner) {
+    if (!expectedSigner) {
+        throw new Error('No attested or pinned TEE identity to verify against');
+    }
+    if (!receipt || !receipt.payload) {
+        throw new Error('Missing receipt');
+    }
+    if (receiptDigest(receipt.payload) !== receipt.digest) {
+        throw new Error('Receipt digest does not match its payload');
+    }
+
+    const recovered = verifyMessage(getBytes(receipt.digest), receipt.signature);
+    if (recovered !== receipt.signer) {
+        throw new Error('Receipt signature does not match its signer');
+    }
+    if (recovered.toLowerCase() !== expectedSigner.toLowerCase()) {
+        throw new Error(`Receipt signed by ${recovered}, expected TEE identity ${expectedSigner}`);
+    }
+    return receipt.payload;
+}
+
+module.exports = {
+    buildReceiptPayload,
+    canonicalize,
+    receiptDigest,
+    signReceipt,
+    verifyReceipt
+};
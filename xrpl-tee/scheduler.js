@@ -0,0 +1,160 @@
+const DEFAULT_INTERVAL = 5000; // ms between checks for due jobs
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_DELAY = 60; // seconds, multiplied by the attempt number
+const DEFAULT_RETENTION = 10000; // finished jobs kept for the operator view
+
+/**
+ * Persisted queue of timed escrow actions.
+ *
+ * A job is `{ id, escrowId, action, runAt, status }`, `runAt` in seconds of the TEE clock,
+ * and its id is `${escrowId}:${action}` so scheduling the same action again only moves it.
+ * Due jobs run one at a time through the handler registered for their action. A handler
+ * may return `{ deferUntil }` to check again later or `{ skipped }` when there is nothing
+ * to do; a thrown error is retried with a growing delay until `maxAttempts`. Jobs that
+ * were running when the server stopped are picked up again on start, so handlers must
+ * check the escrow state before acting.
+ */
+class Scheduler {
+    constructor(config = {}) {
+        if (!config.collection || typeof config.now !== 'function') {
+            throw new Error('Scheduler requires a store collection and a clock');
+        }
+        this.jobs = config.collection;
+        this.now = config.now;
+        this.interval = config.interval || DEFAULT_INTERVAL;
+        this.maxAttempts = config.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+        this.retryDelay = config.retryDelay || DEFAULT_RETRY_DELAY;
+        this.retention = config.retention || DEFAULT_RETENTION;
+        this.handlers = new Map();
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    register(action, handler) {
+        this.handlers.set(action, handler);
+    }
+
+    start() {
+        for (const job of this.jobs.values()) {
+            if (job.status === 'running') {
+                this.jobs.set(job.id, { ...job, status: 'scheduled' });
+            }
+        }
+        this.timer = setInterval(() => {
+            this.tick().catch(error => console.error('Error running scheduled jobs:', error));
+        }, this.interval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Schedule an action of an escrow, or move it if it is still waiting
+     * @returns {Object} The job
+     */
+    schedule({ escrowId, action, runAt }) {
+        if (!this.handlers.has(action)) {
+            throw new Error(`No handler for scheduled action ${action}`);
+        }
+        const id = `${escrowId}:${action}`;
+        const existing = this.jobs.get(id);
+        if (existing && existing.status !== 'scheduled') {
+            return existing;
+        }
+        const job = existing ? { ...existing, runAt } : {
+            id,
+            escrowId,
+            action,
+            runAt,
+            status: 'scheduled',
+            attempts: 0,
+            lastError: null,
+            createdAt: Math.floor(Date.now() / 1000)
+        };
+        this.jobs.set(id, job);
+        return job;
+    }
+
+    // Drop the waiting jobs of an escrow, e.g. once it was settled by a caller
+    skipJobs(escrowId, reason) {
+        for (const job of this.jobs.values()) {
+            if (job.escrowId === escrowId && job.status === 'scheduled') {
+                this.jobs.set(job.id, { ...job, status: 'skipped', result: { skipped: reason } });
+            }
+        }
+    }
+
+    // Run every due job, one at a time
+    async tick() {
+        if (this.ticking) {
+            return;
+        }
+        this.ticking = true;
+        try {
+            const now = await this.now();
+            const due = [...this.jobs.values()]
+                .filter(job => job.status === 'scheduled' && job.runAt <= now)
+                .sort((a, b) => a.runAt - b.runAt);
+            for (const job of due) {
+                await this.run(job.id);
+            }
+            this.trim();
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    async run(jobId) {
+        let job = { ...this.jobs.get(jobId), status: 'running', startedAt: await this.now() };
+        this.jobs.set(job.id, job);
+        try {
+            const result = await this.handlers.get(job.action)(job) || {};
+            if (result.deferUntil !== undefined) {
+                job = { ...job, status: 'scheduled', runAt: result.deferUntil, lastError: null };
+            } else {
+                job = { ...job, status: result.skipped ? 'skipped' : 'done', result, finishedAt: await this.now() };
+            }
+        } catch (error) {
+            const attempts = job.attempts + 1;
+            console.warn(`Scheduled ${job.action} of escrow ${job.escrowId} failed (attempt ${attempts}):`, error.message);
+            job = attempts >= this.maxAttempts
+                ? { ...job, attempts, status: 'failed', lastError: error.message, finishedAt: await this.now() }
+                : { ...job, attempts, status: 'scheduled', lastError: error.message, runAt: job.startedAt + this.retryDelay * attempts };
+        }
+        this.jobs.set(job.id, job);
+        return job;
+    }
+
+    /**
+     * Jobs for the operator view, waiting ones first in the order they will run
+     * @param {Object} filter - { status, escrowId }, both optional
+     */
+    list({ status, escrowId } = {}) {
+        return [...this.jobs.values()]
+            .filter(job => (!status || job.status === status) && (!escrowId || job.escrowId === escrowId))
+            .sort((a, b) => (a.status === 'scheduled') === (b.status === 'scheduled')
+                ? a.runAt - b.runAt
+                : (a.status === 'scheduled' ? -1 : 1));
+    }
+
+    // Forget the oldest finished jobs
+    trim() {
+        let excess = this.jobs.size - this.retention;
+        for (const job of [...this.jobs.values()]) {
+            if (excess <= 0) {
+                break;
+            }
+            if (job.status !== 'scheduled' && job.status !== 'running') {
+                this.jobs.delete(job.id);
+                excess--;
+            }
+        }
+    }
+}
+
+module.exports = {
+    Scheduler
+};
@@ -1,22 +1,137 @@
 const xrpl = require('xrpl');
 const crypto = require('crypto');
+const path = require('path');
+const { EventEmitter } = require('events');
 const express = require('express');
 const cors = require('cors');
+const rateLimit = require('express-rate-limit');
 const { keccak256 } = require('ethers')
+const { EscrowStore } = require('./escrowStore');
+const { EscrowKeyDeriver } = require('./keyDerivation');
+const { XRPLKeyManager, createKmsBackend } = require('./keyManager');
+const { createQuoteProvider, computeReportData } = require('./attestation');
+const { buildReceiptPayload, signReceipt } = require('./receipts');
+const { CallerAuthenticator } = require('./callerAuth');
+const { createClock } = require('./clock');
+const { hashImmutables } = require('./immutables');
+const { parseMultiFillHashlock, verifyMerkleSecret } = require('./merkleSecrets');
+const { FundingVerifier, sumDeposits } = require('./fundingVerifier');
+const { DepositWatcher } = require('./depositWatcher');
+const { EventLog, eventFilter } = require('./eventLog');
+const { streamEvents } = require('./sse');
+const { WebhookDispatcher } = require('./webhooks');
+const { Scheduler } = require('./scheduler');
+const { PayoutExecutor } = require('./payoutExecutor');
+const { FeeModel } = require('./fees');
+const { IdempotencyKeys } = require('./idempotency');
+const { EscrowLocks, TRANSITIONAL_STATES, canTransition, transitionEscrow } = require('./escrowState');
+const {
+    buildEscrowCancel, buildEscrowCreate, buildEscrowFinish, preimageCondition, sha256Hashlock
+} = require('./nativeEscrow');
+const { compareValues, isXrp, parseAmount, parseToken, toXrplAmount } = require('./tokens');
+
+// The ledger deletes an account only this many ledgers after its sequence was assigned
+const ACCOUNT_DELETE_LEDGERS = 256;
+const LEDGER_INTERVAL = 4; // seconds, roughly
+const RECLAIM_RECHECK_DELAY = 300; // seconds between checks while a payout of the escrow is unfinished
+// Default actions the scheduler can run
+const AUTO_ACTIONS = ['cancel', 'withdraw', 'reclaim'];
 
 class XRPLEscrowTEE {
     constructor(config = {}) {
+        // Options passed as undefined keep their defaults
+        const options = Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined));
         this.client = null;
         this.config = {
             network: config.network || 'wss://s.altnet.rippletest.net:51233', // testnet by default
             port: config.port || 3000,
             rescueDelay: config.rescueDelay || 86400 * 7, // 7 days in seconds
-            ...config
+            dataDir: config.dataDir || path.join(__dirname, 'data'),
+            kms: config.kms, // 'rofl' | 'local', auto-detected when unset
+            attestation: config.attestation, // 'tdx' | 'mock', auto-detected when unset
+            clock: config.clock || 'wall', // 'wall' | 'ledger' | 'test', the time timelocks are enforced against
+            adminToken: config.adminToken, // bearer token for /admin endpoints, disabled when unset
+            stageCheckInterval: config.stageCheckInterval || 5000, // ms between timelock stage checks
+            autoActions: config.autoActions || AUTO_ACTIONS, // default actions the scheduler runs
+            secretRecheckDelay: config.secretRecheckDelay || 30, // seconds between checks for a revealed secret
+            idempotencyTtl: config.idempotencyTtl || 24 * 3600, // seconds POST responses are kept for replay
+            maxFee: config.maxFee || 2000, // drops per fee unit the escrow accounts pay at most
+            faucet: config.faucet || false, // activate escrow accounts from the testnet faucet
+            webhookAllowPrivate: config.webhookAllowPrivate || false, // development: http and private webhook targets
+            rateLimitWindow: config.rateLimitWindow || 15 * 60 * 1000, // ms window of the per-IP limits
+            rateLimitMax: config.rateLimitMax || 100, // challenges and webhook registrations per window and IP
+            ...options
         };
+        const unknownActions = this.config.autoActions.filter(action => !AUTO_ACTIONS.includes(action));
+        if (unknownActions.length > 0) {
+            throw new Error(`Unknown auto actions: ${unknownActions.join(', ')}`);
+        }
 
-        // Store active escrows
-        this.escrows = new Map();
-        this.walletSeeds = new Map(); // Securely store wallet seeds
+        // Escrows live in a journaled store so they survive restarts
+        this.store = new EscrowStore({ dataDir: this.config.dataDir });
+        this.escrows = this.store.collection('escrows');
+        // Sealed seeds of escrows created before per-escrow key derivation, read-only
+        this.walletSeeds = this.store.collection('walletSeeds');
+        // Every funding tx hash ever accepted, across all escrows: txHash -> { escrowId, consumedAt }
+        this.fundingTxs = this.store.collection('fundingTxs');
+        // Secret indexes of multiple fill orders already withdrawn with:
+        // `${orderHash}:${root}:${index}` -> { escrowId, secretHash, usedAt }
+        this.secretIndexes = this.store.collection('secretIndexes');
+        // Journaled outgoing transactions of withdrawals and cancellations: `${escrowId}:${kind}` -> plan
+        this.payouts = this.store.collection('payouts');
+        this.runningPayouts = new Map();
+        // Serializes every status changing operation of an escrow
+        this.escrowLocks = new EscrowLocks();
+        // orderHash -> escrow ids, rebuilt on recovery
+        this.escrowsByOrder = new Map();
+        // Escrow ids being created, so the same immutables are not created twice concurrently
+        this.pendingCreates = new Set();
+        // All signing goes through the key manager, keys are sealed by the enclave KMS
+        this.keyManager = new XRPLKeyManager({
+            backend: createKmsBackend({ kms: this.config.kms, dataDir: this.config.dataDir }),
+            dataDir: this.config.dataDir
+        });
+        this.quoteProvider = createQuoteProvider({ provider: this.config.attestation });
+        // Role checks require a signature over a server-issued nonce
+        this.callerAuth = new CallerAuthenticator();
+        // Secrets revealed by withdrawals, for /secrets/stream subscribers
+        this.secretFeed = new EventEmitter();
+        this.secretFeed.setMaxListeners(0);
+        // Lifecycle events of all escrows for /events subscribers, ids are the resume cursors
+        this.eventLog = new EventLog({ collection: this.store.collection('events') });
+        // Signed POSTs of the same events to registered webhook URLs
+        this.webhookDispatcher = new WebhookDispatcher({
+            webhooks: this.store.collection('webhooks'),
+            deliveries: this.store.collection('webhookDeliveries'),
+            keyManager: this.keyManager,
+            allowPrivateTargets: this.config.webhookAllowPrivate
+        });
+        this.eventLog.on('event', event => this.webhookDispatcher.dispatch(event));
+        // Default actions of funded escrows, run when their timelock stage is reached
+        this.scheduler = new Scheduler({
+            collection: this.store.collection('jobs'),
+            now: () => this.clock.now()
+        });
+        // Responses of POST requests by Idempotency-Key, replayed to retries
+        this.idempotency = new IdempotencyKeys({
+            collection: this.store.collection('idempotencyKeys'),
+            keyManager: this.keyManager,
+            ttl: this.config.idempotencyTtl
+        });
+        this.scheduler.register('cancel', job => this.escrowLocks.run(job.escrowId, () => this.runScheduledCancel(job)));
+        this.scheduler.register('withdraw', job => this.escrowLocks.run(job.escrowId, () => this.runScheduledWithdraw(job)));
+        this.scheduler.register('reclaim', job => this.escrowLocks.run(job.escrowId, () => this.runScheduledReclaim(job)));
+        this.eventLog.on('event', event => {
+            const escrow = this.findEscrow(event.escrowId);
+            if (event.type === 'funded' && escrow) {
+                this.scheduleEscrowJobs(escrow);
+            } else if (['withdrawn', 'cancelled'].includes(event.type)) {
+                this.scheduler.skipJobs(event.escrowId, `Escrow ${event.type}`);
+                if (escrow) {
+                    this.scheduleReclaim(escrow);
+                }
+            }
+        });
 
         this.app = express();
         this.setupMiddleware();
@@ -30,13 +145,166 @@ class XRPLEscrowTEE {
             console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
             next();
         });
+        this.app.use(this.idempotency.middleware());
+    }
+
+    // Reload persisted escrows before serving any request
+    recoverEscrows() {
+        const stats = this.store.recover();
+        console.log(`Escrow store recovered from ${this.config.dataDir}:`, stats);
+        this.eventLog.recover();
+        this.idempotency.recover();
+
+        for (const escrow of this.escrows.values()) {
+            if (!escrow.wallet.derivationPath && !this.walletSeeds.has(escrow.id)) {
+                console.warn(`Escrow ${escrow.id} has no wallet key, funds cannot be moved`);
+            }
+            if (escrow.status === 'created' || escrow.status === 'funded' || TRANSITIONAL_STATES.includes(escrow.status)) {
+                console.log(`Resuming escrow ${escrow.id} (${escrow.type}) in status "${escrow.status}"`);
+            }
+            this.indexEscrow(escrow);
+            // Stores written before the registry existed only have the hashes on the escrow
+            for (const txHash of escrow.fundingTxs || []) {
+                const key = this.normalizeTxHash(txHash);
+                if (!this.fundingTxs.has(key)) {
+                    this.fundingTxs.set(key, { escrowId: escrow.id, consumedAt: escrow.deployedAt });
+                }
+            }
+        }
+    }
+
+    indexEscrow(escrow) {
+        const orderHash = String(escrow.orderHash).toLowerCase();
+        if (!this.escrowsByOrder.has(orderHash)) {
+            this.escrowsByOrder.set(orderHash, new Set());
+        }
+        this.escrowsByOrder.get(orderHash).add(escrow.id);
+    }
+
+    // Ids are immutables hashes in lower case hex, older escrows keep their UUID
+    findEscrow(escrowId) {
+        return this.escrows.get(escrowId) || this.escrows.get(String(escrowId).toLowerCase());
+    }
+
+    // Escrow info without sensitive data
+    publicEscrow(escrow) {
+        return {
+            id: escrow.id,
+            orderHash: escrow.orderHash,
+            hashlock: escrow.hashlock,
+            maker: escrow.maker,
+            taker: escrow.taker,
+            token: escrow.token,
+            amount: escrow.amount.toString(),
+            safetyDeposit: escrow.safetyDeposit.toString(),
+            timelocks: escrow.timelocks,
+            deployedAt: escrow.deployedAt,
+            walletAddress: escrow.wallet.address,
+            status: escrow.status,
+            type: escrow.type,
+            ...(escrow.multipleFills ? { multipleFills: true, secretIndex: escrow.secretIndex } : {}),
+            ...(escrow.reclaimedAt ? { reclaimedAt: escrow.reclaimedAt } : {})
+        };
+    }
+
+    // Feed entry of a secret revealed by a withdrawal, with the XRPL tx that revealed it
+    revealedSecret(escrow) {
+        return {
+            escrowId: escrow.id,
+            orderHash: escrow.orderHash,
+            hashlock: escrow.hashlock,
+            type: escrow.type,
+            secret: escrow.secret,
+            ...(escrow.multipleFills ? { secretIndex: escrow.secretIndex } : {}),
+            txHash: escrow.withdrawTx,
+            revealedAt: escrow.withdrawnAt ?? null
+        };
+    }
+
+    // Filter of /secrets queries, matching any given orderHash and hashlock case-insensitively
+    secretFilter(query) {
+        const orderHash = query.orderHash ? String(query.orderHash).toLowerCase() : null;
+        const hashlock = query.hashlock ? String(query.hashlock).toLowerCase() : null;
+        return entry => (!orderHash || entry.orderHash.toLowerCase() === orderHash) &&
+            (!hashlock || entry.hashlock.toLowerCase() === hashlock);
+    }
+
+    revealedSecrets(filter) {
+        return [...this.escrows.values()]
+            .filter(escrow => escrow.secret && escrow.withdrawTx)
+            .map(escrow => this.revealedSecret(escrow))
+            .filter(filter)
+            .sort((a, b) => (a.revealedAt ?? 0) - (b.revealedAt ?? 0));
+    }
+
+    normalizeTxHash(txHash) {
+        return String(txHash).trim().toUpperCase();
+    }
+
+    // Reserve funding txs for an escrow. Must run without awaiting between the check and the set.
+    consumeFundingTxs(escrowId, txHashes) {
+        for (const txHash of txHashes) {
+            const consumed = this.fundingTxs.get(txHash);
+            if (consumed) {
+                throw new Error(`Funding transaction ${txHash} was already used for escrow ${consumed.escrowId}`);
+            }
+        }
+        const consumedAt = Math.floor(Date.now() / 1000);
+        for (const txHash of txHashes) {
+            this.fundingTxs.set(txHash, { escrowId, consumedAt });
+        }
+    }
+
+    // Older stores kept legacy wallet seeds in plaintext
+    sealLegacySeeds() {
+        for (const [escrowId, seed] of this.walletSeeds) {
+            if (typeof seed === 'string') {
+                this.walletSeeds.set(escrowId, this.keyManager.seal(seed));
+                console.log(`Sealed legacy wallet seed of escrow ${escrowId}`);
+            }
+        }
     }
 
     async initialize() {
+        this.recoverEscrows();
+        await this.keyManager.open();
+        this.sealLegacySeeds();
+        this.webhookDispatcher.start();
+
         try {
             this.client = new xrpl.Client(this.config.network);
             await this.client.connect();
+            this.clock = createClock({ clock: this.config.clock, client: this.client });
+            this.fundingVerifier = new FundingVerifier({ client: this.client });
+            this.fees = new FeeModel({ client: this.client, maxFee: this.config.maxFee });
             console.log(`Connected to XRPL ${this.config.network}`);
+
+            this.payoutExecutor = new PayoutExecutor({
+                client: this.client,
+                plans: this.payouts,
+                sign: (plan, tx) => this.keyManager.signTransaction(this.escrowKeyRef(this.findEscrow(plan.escrowId)), tx),
+                fee: tx => this.fees.transactionFee(tx)
+            });
+            await this.resumePayouts();
+
+            // Fund escrows as soon as their deposits are validated
+            this.depositWatcher = new DepositWatcher({
+                client: this.client,
+                onPayment: (address, deposit) => this.handleDeposit(address, deposit)
+            });
+            this.depositWatcher.start();
+            this.startStageMonitor();
+            for (const escrow of this.escrows.values()) {
+                if (escrow.status === 'funded') {
+                    this.scheduleEscrowJobs(escrow);
+                }
+            }
+            this.scheduler.start();
+            for (const escrow of this.escrows.values()) {
+                if (escrow.status === 'created') {
+                    await this.watchDeposits(escrow);
+                }
+            }
             return true;
         } catch (error) {
             console.error('Failed to connect to XRPL:', error);
@@ -44,20 +312,869 @@ class XRPLEscrowTEE {
         }
     }
 
-    // Generate a new wallet for each escrow swap
-    async generateEscrowWallet() {
-        const staticSeed = Buffer.from('ripple-escrow-wallet', 'utf8'); // constant seed
-        const wallet = xrpl.Wallet.fromEntropy(staticSeed);
-        await this.refuelWalletFromFaucet(wallet);
-        console.log("Escrow wallet generated: priv key:", wallet.privateKey, "pub key:", wallet.publicKey, "address:", wallet.address);
+    // Derive a new wallet for each escrow swap from the TEE master secret
+    async generateEscrowWallet(escrowId) {
+        const derivationPath = EscrowKeyDeriver.escrowPath(escrowId);
+        const account = this.keyManager.deriveAccount(derivationPath);
+        // Otherwise the first deposit activates the account, its reserve is part of requiredDeposit
+        if (this.config.faucet) {
+            // The faucet only needs the address
+            await this.refuelWalletFromFaucet({ address: account.address, classicAddress: account.address });
+        }
+        console.log("Escrow wallet generated: path:", derivationPath, "address:", account.address);
         return {
-            address: wallet.address,
-            seed: wallet.seed,
-            privateKey: wallet.privateKey,
-            publicKey: wallet.publicKey
+            address: account.address,
+            publicKey: account.publicKey,
+            derivationPath
         };
     }
 
+    // Reference to the escrow's key inside the key manager
+    escrowKeyRef(escrow) {
+        if (escrow.wallet.derivationPath) {
+            return { derivationPath: escrow.wallet.derivationPath };
+        }
+        const sealedSeed = this.walletSeeds.get(escrow.id);
+        if (!sealedSeed) {
+            throw new Error(`No signing key available for escrow ${escrow.id}`);
+        }
+        return { sealedSeed };
+    }
+
+    // Autofill, sign with the escrow key and submit a transaction from the escrow account
+    async submitFromEscrow(escrow, tx) {
+        const prepared = await this.client.autofill({
+            ...tx,
+            Account: escrow.wallet.address,
+            Fee: await this.fees.transactionFee(tx)
+        });
+        const signed = this.keyManager.signTransaction(this.escrowKeyRef(escrow), prepared);
+        return this.client.submitAndWait(signed.tx_blob);
+    }
+
+    // Sign what the TEE committed to for this transition and keep it with the escrow
+    issueReceipt(escrow, event, txHashes = []) {
+        const receipt = signReceipt(this.keyManager, buildReceiptPayload(escrow, event, txHashes));
+        escrow.receipts = [...(escrow.receipts || []), receipt];
+        this.escrows.set(escrow.id, escrow);
+        this.publishEvent(event, escrow, { txHashes: txHashes.filter(Boolean) });
+        return receipt;
+    }
+
+    // Append a lifecycle event of an escrow to the event log
+    publishEvent(type, escrow, data = {}) {
+        return this.eventLog.append({
+            type,
+            escrowId: escrow.id,
+            orderHash: escrow.orderHash,
+            escrowType: escrow.type,
+            status: escrow.status,
+            maker: escrow.maker,
+            taker: escrow.taker,
+            addresses: [escrow.maker, escrow.taker, escrow.wallet.address],
+            data
+        });
+    }
+
+    // Publish `stage-changed` when the clock passes a timelock stage of an active escrow
+    async checkStages() {
+        const now = await this.clock.now();
+        for (const escrow of this.escrows.values()) {
+            if (escrow.status !== 'created' && escrow.status !== 'funded') {
+                continue;
+            }
+            const names = escrow.type === 'src'
+                ? ['SrcWithdrawal', 'SrcPublicWithdrawal', 'SrcCancellation', 'SrcPublicCancellation']
+                : ['DstWithdrawal', 'DstPublicWithdrawal', 'DstCancellation'];
+            const reached = names.filter(name => escrow.timelocks[this.TimeStages[name]] <= now).pop();
+            if (reached === undefined || reached === escrow.currentStage) {
+                continue;
+            }
+            const previousStage = escrow.currentStage ?? null;
+            escrow.currentStage = reached;
+            this.escrows.set(escrow.id, escrow);
+            this.publishEvent('stage-changed', escrow, {
+                stage: this.TimeStages[reached],
+                stageName: reached,
+                previousStage
+            });
+        }
+    }
+
+    startStageMonitor() {
+        this.stageTimer = setInterval(() => {
+            this.checkStages().catch(error => console.error('Error checking timelock stages:', error));
+        }, this.config.stageCheckInterval);
+        this.stageTimer.unref();
+    }
+
+    // Admin endpoints need `Authorization: Bearer <ADMIN_TOKEN>`.
+    // Sends the error response and returns false when the token is missing or wrong.
+    authorizeAdmin(req, res) {
+        if (!this.config.adminToken) {
+            res.status(403).json({ error: 'Admin endpoints are disabled, set ADMIN_TOKEN to enable them' });
+            return false;
+        }
+        const header = req.get('authorization') || '';
+        const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+        // Compare digests so the comparison does not leak the token length or prefix
+        const digest = value => crypto.createHash('sha256').update(value).digest();
+        if (!crypto.timingSafeEqual(digest(token), digest(this.config.adminToken))) {
+            res.status(401).json({ error: 'Invalid admin token' });
+            return false;
+        }
+        return true;
+    }
+
+    // Webhook endpoints need `Authorization: Bearer <webhook secret>`.
+    // Sends the error response and returns null when the webhook is unknown or the secret wrong.
+    authorizeWebhook(req, res) {
+        const webhook = this.webhookDispatcher.webhooks.get(req.params.webhookId);
+        if (!webhook) {
+            res.status(404).json({ error: 'Webhook not found' });
+            return null;
+        }
+        const header = req.get('authorization') || '';
+        const secret = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+        if (!this.webhookDispatcher.authorize(webhook, secret)) {
+            res.status(401).json({ error: 'Invalid webhook secret' });
+            return null;
+        }
+        return webhook;
+    }
+
+    // Requests that would move the escrow to `to` get 409 while another withdrawal or
+    // cancellation of it is in progress and 400 when its status does not allow it.
+    // Sends the error response and returns false when the transition is not allowed.
+    checkTransition(res, escrow, to, message) {
+        if (canTransition(escrow.status, to)) {
+            return true;
+        }
+        if (TRANSITIONAL_STATES.includes(escrow.status)) {
+            res.status(409).json({ error: `Escrow is ${escrow.status}, try again later` });
+        } else {
+            res.status(400).json({ error: message });
+        }
+        return false;
+    }
+
+    // Limits unauthenticated requests that add server state (challenges, webhooks) per client IP
+    rateLimitPerIp() {
+        return rateLimit({
+            windowMs: this.config.rateLimitWindow,
+            limit: this.config.rateLimitMax,
+            standardHeaders: 'draft-7',
+            legacyHeaders: false,
+            message: { error: 'Too many requests, try again later' }
+        });
+    }
+
+    // Check that the request comes from the taker and is signed with the taker's key.
+    // Sends the error response and returns false when it does not. The nonce stays valid
+    // until the route calls callerAuth.consume(), so a request rejected by a later state or
+    // timelock check does not burn the caller's challenge.
+    authorizeCaller(req, res, escrow, action, message) {
+        const { callerAddress, auth, amount } = req.body;
+        if (callerAddress !== escrow.taker) {
+            res.status(403).json({ error: message });
+            return false;
+        }
+        try {
+            this.callerAuth.check({ action, escrowId: escrow.id, callerAddress, amount }, auth);
+        } catch (error) {
+            res.status(401).json({ error: error.message });
+            return false;
+        }
+        return true;
+    }
+
+    // Deposit the escrow account must hold before it counts as funded: XRP drops plus the
+    // issued currency amount. The safety deposit, the account reserve and the fees of the
+    // account's own transactions are always paid in XRP.
+    requiredFunding(escrow) {
+        const costs = (escrow.costs?.reserve ?? 0n) + (escrow.costs?.fees ?? 0n);
+        if (isXrp(escrow.token)) {
+            return { xrp: escrow.amount + escrow.safetyDeposit + costs, token: '0' };
+        }
+        return { xrp: escrow.safetyDeposit + costs, token: escrow.amount };
+    }
+
+    // Whether deposit totals from sumDeposits cover the required funding
+    coversFunding(escrow, totals) {
+        const required = this.requiredFunding(escrow);
+        return totals.totalAmount >= required.xrp && compareValues(totals.totalToken, required.token) >= 0;
+    }
+
+    // Issued currencies whose issuer charges a transfer fee would pay out less than the escrow amount
+    async checkIssuer(token) {
+        const { result } = await this.client.request({ command: 'account_info', account: token.issuer });
+        const transferRate = result.account_data.TransferRate;
+        if (transferRate && transferRate !== 1000000000) {
+            throw new Error(`Issuer ${token.issuer} charges a transfer fee, which is not supported`);
+        }
+    }
+
+    // Set up the trust line once the escrow account exists, i.e. after its first XRP deposit
+    // unless the faucet activated it at creation
+    async ensureTrustLine(escrow) {
+        if (isXrp(escrow.token) || escrow.trustLineTx) {
+            return;
+        }
+        escrow.trustLineTx = await this.setupTrustLine(escrow);
+        this.escrows.set(escrow.id, escrow);
+        console.log(`Trust line of escrow ${escrow.id} set up`);
+    }
+
+    // The escrow account must trust the issuer before it can hold the issued currency
+    async setupTrustLine(escrow) {
+        const result = await this.submitFromEscrow(escrow, {
+            TransactionType: 'TrustSet',
+            LimitAmount: toXrplAmount(escrow.token, escrow.amount),
+            Flags: xrpl.TrustSetFlags.tfSetNoRipple
+        });
+        if (result.result.meta.TransactionResult !== 'tesSUCCESS') {
+            throw new Error(`Trust line setup failed: ${result.result.meta.TransactionResult}`);
+        }
+        return result.result.hash;
+    }
+
+    // Accounts whose payments are credited automatically: the resolver funds dst escrows,
+    // src escrows get the amount from the maker and the safety deposit from the taker
+    expectedDepositors(escrow) {
+        return escrow.type === 'src' ? [escrow.maker, escrow.taker] : [escrow.taker];
+    }
+
+    /**
+     * Verify deposits and move a created escrow to funded.
+     * Shared by `/fund` and the deposit watcher; the outcome carries `error` and an HTTP
+     * `status` when the escrow was not funded.
+     */
+    applyFunding(escrow, funding) {
+        return this.escrowLocks.run(escrow.id, () => this.fundEscrow(escrow, funding));
+    }
+
+    async fundEscrow(escrow, funding) {
+        const { valid, totalAmount, totalToken, verdicts } = await this.fundingVerifier.verifyAll(funding, {
+            destination: escrow.wallet.address,
+            token: escrow.token,
+            createdLedgerIndex: escrow.createdLedgerIndex,
+            createdAt: escrow.deployedAt
+        });
+        if (!valid) {
+            return { status: 400, error: 'Invalid funding transactions', verifiedTxs: verdicts };
+        }
+        // An XRP deposit activated the account, the issued currency can only arrive once it is trusted
+        if (totalAmount > 0n) {
+            await this.ensureTrustLine(escrow);
+        }
+
+        if (!this.coversFunding(escrow, { totalAmount, totalToken })) {
+            const required = this.requiredFunding(escrow);
+            return {
+                status: 400,
+                error: isXrp(escrow.token) ?
+                    `Insufficient funding. Required: ${required.xrp}, Received: ${totalAmount}` :
+                    `Insufficient funding. Required: ${required.xrp} drops and ${required.token} ${escrow.token.currency}, ` +
+                    `Received: ${totalAmount} drops and ${totalToken} ${escrow.token.currency}`,
+                verifiedTxs: verdicts
+            };
+        }
+
+        // Re-checked here since another request may have funded the escrow or claimed a hash
+        // while we queried the ledger
+        if (escrow.status !== 'created') {
+            return { status: 400, error: 'Escrow already funded or processed' };
+        }
+        const txHashes = funding.map(deposit => deposit.txHash);
+        try {
+            this.consumeFundingTxs(escrow.id, txHashes);
+        } catch (error) {
+            return { status: 409, error: error.message };
+        }
+
+        this.transition(escrow, 'funded');
+        escrow.fundingTxs = txHashes;
+        // XRP per depositor, what is left in the account on reclaim goes back to who paid for it
+        escrow.xrpDeposits = {};
+        for (const verdict of verdicts.filter(verdict => typeof verdict.amount === 'string')) {
+            escrow.xrpDeposits[verdict.account] = (BigInt(escrow.xrpDeposits[verdict.account] || 0) + BigInt(verdict.amount)).toString();
+        }
+        this.escrows.set(escrow.id, escrow);
+        const receipt = this.issueReceipt(escrow, 'funded', txHashes);
+        this.unwatchDeposits(escrow);
+
+        if (escrow.mode === 'native') {
+            try {
+                await this.lockNativeEscrow(escrow);
+            } catch (error) {
+                // Withdraw and cancel retry the lock
+                console.error(`Failed to lock escrow ${escrow.id} on ledger:`, error);
+            }
+        }
+
+        return { totalAmountReceived: totalAmount, totalTokenReceived: totalToken, verifiedTxs: verdicts, receipt };
+    }
+
+    async watchDeposits(escrow) {
+        if (!this.depositWatcher) {
+            return;
+        }
+        try {
+            await this.depositWatcher.watch(escrow.wallet.address, escrow.createdLedgerIndex);
+        } catch (error) {
+            console.error(`Failed to watch deposits of escrow ${escrow.id}, use /fund instead:`, error);
+        }
+    }
+
+    unwatchDeposits(escrow) {
+        this.depositWatcher?.unwatch(escrow.wallet.address).catch(error =>
+            console.warn(`Failed to unsubscribe escrow ${escrow.id}:`, error.message)
+        );
+    }
+
+    // Credit a validated payment seen on an escrow account, funding the escrow once it is covered
+    async handleDeposit(address, deposit) {
+        const escrow = [...this.escrows.values()].find(e => e.wallet.address === address && e.status === 'created');
+        const txHash = this.normalizeTxHash(deposit.txHash);
+        if (!escrow || this.fundingTxs.has(txHash)) {
+            return;
+        }
+        if ((escrow.detectedDeposits || []).some(known => known.txHash === txHash)) {
+            return;
+        }
+        if (!this.expectedDepositors(escrow).includes(deposit.fromAddress)) {
+            console.warn(`Ignoring payment ${txHash} to escrow ${escrow.id} from unexpected sender ${deposit.fromAddress}`);
+            return;
+        }
+
+        const verdict = await this.fundingVerifier.verifyTransaction(txHash, {
+            destination: address,
+            fromAddress: deposit.fromAddress,
+            token: escrow.token,
+            createdLedgerIndex: escrow.createdLedgerIndex,
+            createdAt: escrow.deployedAt
+        });
+        if (!verdict.valid) {
+            console.warn(`Ignoring payment ${txHash} to escrow ${escrow.id}:`, verdict.errors.join('; '));
+            return;
+        }
+        if (escrow.status !== 'created' || (escrow.detectedDeposits || []).some(known => known.txHash === txHash)) {
+            return;
+        }
+
+        escrow.detectedDeposits = [...(escrow.detectedDeposits || []), {
+            txHash,
+            fromAddress: deposit.fromAddress,
+            amount: verdict.amount
+        }];
+        this.escrows.set(escrow.id, escrow);
+        this.publishEvent('deposit-seen', escrow, {
+            txHash,
+            fromAddress: deposit.fromAddress,
+            amount: verdict.amount
+        });
+        const amount = typeof verdict.amount === 'string' ?
+            `${verdict.amount} drops` :
+            `${verdict.amount.value} ${verdict.amount.currency}`;
+        console.log(`Detected deposit ${txHash} of ${amount} to escrow ${escrow.id}`);
+
+        if (typeof verdict.amount === 'string') {
+            try {
+                await this.ensureTrustLine(escrow);
+            } catch (error) {
+                console.error(`Failed to set up the trust line of escrow ${escrow.id}:`, error);
+            }
+        }
+
+        if (!this.coversFunding(escrow, sumDeposits(escrow.detectedDeposits))) {
+            return;
+        }
+        const outcome = await this.applyFunding(escrow, escrow.detectedDeposits);
+        if (outcome.error) {
+            console.warn(`Automatic funding of escrow ${escrow.id} failed: ${outcome.error}`);
+        } else {
+            console.log(`Escrow ${escrow.id} funded automatically`);
+        }
+    }
+
+    /**
+     * Move the escrow amount into a native EscrowCreate owned by the escrow account.
+     * The ledger then enforces the hashlock and the withdrawal and cancellation times:
+     * anyone holding the secret can EscrowFinish to the recipient without the TEE.
+     */
+    async lockNativeEscrow(escrow) {
+        const isSrc = escrow.type === 'src';
+        const tx = buildEscrowCreate({
+            amount: escrow.amount,
+            destination: this.withdrawalRecipient(escrow),
+            hashlock: escrow.hashlock,
+            finishAfter: escrow.timelocks[isSrc ? this.TimeStages.SrcWithdrawal : this.TimeStages.DstWithdrawal],
+            cancelAfter: escrow.timelocks[isSrc ? this.TimeStages.SrcCancellation : this.TimeStages.DstCancellation],
+            now: await this.clock.now()
+        });
+
+        const result = await this.submitFromEscrow(escrow, tx);
+        if (result.result.meta.TransactionResult !== 'tesSUCCESS') {
+            throw new Error(`EscrowCreate failed: ${result.result.meta.TransactionResult}`);
+        }
+
+        escrow.nativeEscrow = {
+            owner: escrow.wallet.address,
+            offerSequence: (result.result.tx_json || result.result).Sequence,
+            condition: tx.Condition,
+            finishAfter: tx.FinishAfter ?? null,
+            cancelAfter: tx.CancelAfter,
+            createTx: result.result.hash
+        };
+        this.escrows.set(escrow.id, escrow);
+        this.issueReceipt(escrow, 'locked', [result.result.hash]);
+        console.log(`Escrow ${escrow.id} locked on ledger, sequence ${escrow.nativeEscrow.offerSequence}`);
+    }
+
+    /**
+     * Public cancellation after SrcPublicCancellation (EscrowSrc.publicCancel). Destination escrows
+     * have no public stage, as in EscrowDst, only the taker cancels them.
+     * Anyone may call; the principal goes back to the maker and the safety deposit to the caller.
+     */
+    async publicCancel(req, res, escrow) {
+        const { callerAddress } = req.body;
+        if (escrow.type !== 'src') {
+            return res.status(400).json({ error: 'Public cancellation is only available for source escrows' });
+        }
+        if (!xrpl.isValidClassicAddress(callerAddress || '')) {
+            return res.status(400).json({ error: 'Public cancellation requires a valid callerAddress' });
+        }
+
+        await this.validateTimeWindow(escrow, this.TimeStages.SrcPublicCancellation);
+
+        const { cancelTxs, receipt } = await this.executeCancellation(escrow, callerAddress);
+        res.json({
+            message: 'Escrow cancelled publicly',
+            escrowType: escrow.type,
+            cancelTxs,
+            safetyDepositTo: callerAddress,
+            receipt
+        });
+    }
+
+    // Who gets what when an escrow is cancelled: the principal returns to the party that
+    // deposited it (maker for src, taker for dst), the safety deposit goes to the caller
+    cancellationPayouts(escrow, callerAddress) {
+        if (escrow.type !== 'src' && escrow.type !== 'dst') {
+            throw new Error(`Unknown escrow type: ${escrow.type}`);
+        }
+        const principalTo = escrow.type === 'src' ? escrow.maker : escrow.taker;
+        if (escrow.safetyDeposit > 0 && isXrp(escrow.token) && callerAddress === principalTo) {
+            // Everything goes to one account, in one payment
+            return [{ recipient: principalTo, amount: (escrow.amount + escrow.safetyDeposit).toString() }];
+        }
+
+        const payouts = [{ recipient: principalTo, amount: toXrplAmount(escrow.token, escrow.amount) }];
+        if (escrow.safetyDeposit > 0) {
+            payouts.push({ recipient: callerAddress, amount: escrow.safetyDeposit.toString() });
+        }
+        return payouts;
+    }
+
+    // Release a native lock if any, pay out the cancellation and record it
+    async executeCancellation(escrow, callerAddress) {
+        const txs = this.cancellationPayouts(escrow, callerAddress).map((payout, i) => ({
+            label: i === 0 ? 'principal' : 'safetyDeposit',
+            recipient: payout.recipient,
+            amount: payout.amount,
+            tx: { TransactionType: 'Payment', Destination: payout.recipient, Amount: payout.amount }
+        }));
+        // Native mode: return the locked amount to the escrow account first
+        if (escrow.mode === 'native' && escrow.nativeEscrow) {
+            txs.unshift({
+                label: 'escrowCancel',
+                recipient: escrow.wallet.address,
+                amount: escrow.amount.toString(),
+                tx: buildEscrowCancel(escrow.nativeEscrow)
+            });
+        }
+        this.transition(escrow, 'cancelling');
+        try {
+            return await this.runPayout(this.planPayout(escrow, 'cancel', txs, { callerAddress }));
+        } catch (error) {
+            this.revertPayout(escrow, 'cancel');
+            throw error;
+        }
+    }
+
+    // Rescue payment from the account of a settled escrow, journaled like every payout. Every
+    // rescue is its own plan, numbered by the rescues already sent.
+    async executeRescue(escrow, callerAddress, amount) {
+        const plan = this.planPayout(escrow, 'rescue', [{
+            label: 'rescue',
+            recipient: callerAddress,
+            amount,
+            tx: { TransactionType: 'Payment', Destination: callerAddress, Amount: amount }
+        }], {}, `${escrow.id}:rescue:${(escrow.rescueTxs || []).length}`);
+        return this.runPayout(plan);
+    }
+
+    /**
+     * Pay out a withdrawal with a checked secret, releasing the ledger escrow in native mode.
+     * The safety deposit goes to the caller. A reserved secret index is released if the
+     * payment fails.
+     */
+    async executeWithdrawal(escrow, { secret, secretIndex, secretKey }, callerAddress) {
+        this.transition(escrow, 'withdrawing');
+        try {
+            return await this.sendWithdrawal(escrow, { secret, secretIndex, secretKey }, callerAddress);
+        } catch (error) {
+            this.revertPayout(escrow, 'withdraw');
+            if (escrow.status === 'funded') {
+                this.releaseSecretIndex(secretKey);
+            }
+            throw error;
+        }
+    }
+
+    async sendWithdrawal(escrow, { secret, secretIndex, secretKey }, callerAddress) {
+        if (escrow.mode === 'native') {
+            await this.ensureNativeLock(escrow);
+        }
+        const txs = [{
+            label: 'withdraw',
+            tx: escrow.mode === 'native' ? buildEscrowFinish(escrow.nativeEscrow, secret) : {
+                TransactionType: 'Payment',
+                Destination: this.withdrawalRecipient(escrow),
+                Amount: toXrplAmount(escrow.token, escrow.amount)
+            }
+        }];
+        if (escrow.safetyDeposit > 0) {
+            txs.push({
+                label: 'safetyDeposit',
+                tx: { TransactionType: 'Payment', Destination: callerAddress, Amount: escrow.safetyDeposit.toString() }
+            });
+        }
+        console.log("Withdrawing from escrow", txs[0].tx)
+
+        const plan = this.planPayout(escrow, 'withdraw', txs, {
+            secret,
+            secretIndex: escrow.multipleFills ? Number(secretIndex) : null
+        });
+        // An unfinished withdrawal with its own secret is resumed instead
+        if (plan.context.secret !== secret) {
+            this.releaseSecretIndex(secretKey);
+        }
+        return this.runPayout(plan);
+    }
+
+    // Change the status of an escrow and persist it
+    transition(escrow, to) {
+        transitionEscrow(escrow, to);
+        this.escrows.set(escrow.id, escrow);
+    }
+
+    // After a failed payout: back to funded unless the principal was sent or the outcome is
+    // still unknown (a pending payout keeps the escrow in its transitional state until resumed)
+    revertPayout(escrow, kind) {
+        const plan = this.payouts.get(`${escrow.id}:${kind}`);
+        if (TRANSITIONAL_STATES.includes(escrow.status) && (!plan || plan.status === 'failed')) {
+            this.transition(escrow, 'funded');
+        }
+    }
+
+    // Journal the transactions of a settlement before any is sent, see PayoutExecutor
+    planPayout(escrow, kind, txs, context, id = `${escrow.id}:${kind}`) {
+        const other = this.payoutExecutor.pending().find(plan => plan.escrowId === escrow.id && plan.kind !== kind);
+        if (other) {
+            throw new Error(`Escrow ${escrow.id} has an unfinished ${other.kind} payout`);
+        }
+        return this.payoutExecutor.plan({
+            id,
+            escrowId: escrow.id,
+            kind,
+            account: escrow.wallet.address,
+            txs,
+            context
+        });
+    }
+
+    // Send a payout plan and settle its escrow, also resumes plans after a restart.
+    // Concurrent calls for the same plan share one run.
+    runPayout(plan) {
+        const escrow = this.findEscrow(plan.escrowId);
+        if (escrow.status === 'funded') {
+            this.transition(escrow, plan.kind === 'withdraw' ? 'withdrawing' : 'cancelling');
+        }
+        if (!this.runningPayouts.has(plan.id)) {
+            const run = this.payoutExecutor.execute(plan.id, entry => this.applyPayoutTx(plan, entry))
+                .then(() => {
+                    if (plan.kind === 'reclaim') {
+                        const receipt = this.issueReceipt(escrow, 'reclaimed', escrow.reclaimTxs.map(tx => tx.txHash));
+                        return { reclaimTxs: escrow.reclaimTxs, receipt };
+                    }
+                    if (plan.kind === 'rescue') {
+                        const { txHash, amount } = escrow.rescueTxs[escrow.rescueTxs.length - 1];
+                        return { txHash, amount, receipt: this.issueReceipt(escrow, 'rescued', [txHash]) };
+                    }
+                    if (plan.kind === 'withdraw') {
+                        const receipt = this.issueReceipt(escrow, 'withdrawn', [escrow.withdrawTx, escrow.safetyDepositTx]);
+                        return { txHash: escrow.withdrawTx, receipt };
+                    }
+                    const receipt = this.issueReceipt(escrow, 'cancelled', escrow.cancelTxs.map(tx => tx.txHash));
+                    return { cancelTxs: escrow.cancelTxs, receipt };
+                })
+                .catch(error => {
+                    this.revertPayout(escrow, plan.kind);
+                    throw error;
+                })
+                .finally(() => this.runningPayouts.delete(plan.id));
+            this.runningPayouts.set(plan.id, run);
+        }
+        return this.runningPayouts.get(plan.id);
+    }
+
+    // Record a validated payout transaction on its escrow
+    applyPayoutTx(plan, entry) {
+        const escrow = this.findEscrow(plan.escrowId);
+        if (plan.kind === 'withdraw' && entry.label === 'withdraw') {
+            transitionEscrow(escrow, 'withdrawn');
+            escrow.withdrawTx = entry.hash;
+            escrow.secret = plan.context.secret;
+            escrow.withdrawnAt = Math.floor(Date.now() / 1000);
+            if (escrow.multipleFills) {
+                escrow.secretIndex = plan.context.secretIndex;
+            }
+            this.escrows.set(escrow.id, escrow);
+            // Publish before the safety deposit payout, source withdrawals only need the secret
+            this.secretFeed.emit('secret', this.revealedSecret(escrow));
+        } else if (plan.kind === 'withdraw') {
+            escrow.safetyDepositTx = entry.hash;
+            this.escrows.set(escrow.id, escrow);
+        } else if (plan.kind === 'rescue') {
+            escrow.rescueTxs = [...(escrow.rescueTxs || []), { txHash: entry.hash, amount: entry.amount }];
+            this.escrows.set(escrow.id, escrow);
+        } else if (plan.kind === 'reclaim') {
+            escrow.reclaimTxs = [...(escrow.reclaimTxs || []), { label: entry.label, txHash: entry.hash }];
+            if (entry.label === 'accountDelete') {
+                escrow.reclaimedAt = Math.floor(Date.now() / 1000);
+            }
+            this.escrows.set(escrow.id, escrow);
+        } else {
+            escrow.cancelTxs = [
+                ...(escrow.cancelTxs || []),
+                { recipient: entry.recipient, amount: entry.amount, txHash: entry.hash }
+            ];
+            if (entry.label === 'principal') {
+                transitionEscrow(escrow, 'cancelled');
+            }
+            this.escrows.set(escrow.id, escrow);
+        }
+    }
+
+    // Finish payouts interrupted by a restart before serving requests
+    async resumePayouts() {
+        for (const plan of this.payoutExecutor.pending()) {
+            console.log(`Resuming ${plan.kind} payout of escrow ${plan.escrowId}`);
+            try {
+                await this.runPayout(plan);
+            } catch (error) {
+                console.error(`Payout ${plan.id} could not be completed:`, error.message);
+            }
+        }
+        // Escrows left withdrawing or cancelling before their payout was journaled
+        for (const escrow of this.escrows.values()) {
+            if (TRANSITIONAL_STATES.includes(escrow.status)) {
+                this.revertPayout(escrow, escrow.status === 'withdrawing' ? 'withdraw' : 'cancel');
+            }
+        }
+    }
+
+    // Schedule the default actions of a funded escrow at its timelock stages
+    scheduleEscrowJobs(escrow) {
+        const isSrc = escrow.type === 'src';
+        if (this.config.autoActions.includes('withdraw') && !escrow.multipleFills) {
+            this.scheduler.schedule({
+                escrowId: escrow.id,
+                action: 'withdraw',
+                runAt: escrow.timelocks[isSrc ? this.TimeStages.SrcPublicWithdrawal : this.TimeStages.DstPublicWithdrawal]
+            });
+        }
+        if (this.config.autoActions.includes('cancel')) {
+            this.scheduler.schedule({
+                escrowId: escrow.id,
+                action: 'cancel',
+                runAt: escrow.timelocks[isSrc ? this.TimeStages.SrcCancellation : this.TimeStages.DstCancellation]
+            });
+        }
+    }
+
+    // Delete the account of a settled escrow, for escrows whose deposit included its reserve
+    scheduleReclaim(escrow) {
+        if (this.config.autoActions.includes('reclaim') && escrow.costs) {
+            this.scheduler.schedule({ escrowId: escrow.id, action: 'reclaim', runAt: 0 });
+        }
+    }
+
+    // Scheduled once the cancellation stage is reached: the principal goes back to its depositor
+    // and the safety deposit to the taker, as if the taker had cancelled
+    async runScheduledCancel(job) {
+        const escrow = this.findEscrow(job.escrowId);
+        if (TRANSITIONAL_STATES.includes(escrow?.status)) {
+            // A payout of unknown outcome, checked again once it was resumed
+            return { deferUntil: await this.clock.now() + this.config.secretRecheckDelay };
+        }
+        if (escrow?.status !== 'funded') {
+            return { skipped: `Escrow is ${escrow?.status ?? 'missing'}` };
+        }
+        await this.validateTimeWindow(
+            escrow,
+            escrow.type === 'src' ? this.TimeStages.SrcCancellation : this.TimeStages.DstCancellation
+        );
+        const { cancelTxs } = await this.executeCancellation(escrow, escrow.taker);
+        console.log(`Escrow ${escrow.id} cancelled by the scheduler`);
+        return { txHashes: cancelTxs.map(tx => tx.txHash) };
+    }
+
+    // Scheduled at the public withdrawal stage: pays the withdrawal recipient (the maker of a dst
+    // escrow) once the secret was revealed by another escrow with the same hashlock. Checks again
+    // every `secretRecheckDelay` seconds until the cancellation stage.
+    async runScheduledWithdraw(job) {
+        const escrow = this.findEscrow(job.escrowId);
+        if (TRANSITIONAL_STATES.includes(escrow?.status)) {
+            // A payout of unknown outcome, checked again once it was resumed
+            return { deferUntil: await this.clock.now() + this.config.secretRecheckDelay };
+        }
+        if (escrow?.status !== 'funded') {
+            return { skipped: `Escrow is ${escrow?.status ?? 'missing'}` };
+        }
+        const now = await this.clock.now();
+        const cancellationAt = escrow.timelocks[
+            escrow.type === 'src' ? this.TimeStages.SrcCancellation : this.TimeStages.DstCancellation
+        ];
+        const known = this.revealedSecrets(this.secretFilter({ hashlock: escrow.hashlock })).find(entry => {
+            try {
+                this.validateSecret(entry.secret, escrow.hashlock, escrow.hashAlgorithm);
+                return true;
+            } catch (error) {
+                return false; // Secret of a multiple fill order, or another hash algorithm
+            }
+        });
+        if (!known) {
+            return now + this.config.secretRecheckDelay < cancellationAt
+                ? { deferUntil: now + this.config.secretRecheckDelay }
+                : { skipped: 'Secret not revealed before the cancellation stage' };
+        }
+
+        await this.validateTimeWindow(
+            escrow,
+            escrow.type === 'src' ? this.TimeStages.SrcPublicWithdrawal : this.TimeStages.DstPublicWithdrawal,
+            escrow.type === 'src' ? this.TimeStages.SrcCancellation : this.TimeStages.DstCancellation
+        );
+        const { txHash } = await this.executeWithdrawal(escrow, { secret: known.secret }, escrow.taker);
+        console.log(`Escrow ${escrow.id} withdrawn by the scheduler with the secret revealed by escrow ${known.escrowId}`);
+        return { txHash, secretFrom: known.escrowId };
+    }
+
+    // Scheduled once an escrow is withdrawn or cancelled: removes its trust line and deletes the
+    // escrow account with AccountDelete, which returns the reserve and unspent fees to the depositor
+    // who paid them (see reclaimPayouts).
+    // Deferred until the payout finished and the account is old enough to be deleted.
+    async runScheduledReclaim(job) {
+        const escrow = this.findEscrow(job.escrowId);
+        const settledBy = { withdrawn: 'withdraw', cancelled: 'cancel' }[escrow?.status];
+        if (!settledBy) {
+            return { skipped: `Escrow is ${escrow?.status ?? 'missing'}` };
+        }
+        if (escrow.reclaimedAt) {
+            return { skipped: 'Escrow account already deleted' };
+        }
+        const now = await this.clock.now();
+        // The safety deposit may still be owed, a failed payout is retried by an operator
+        if (this.payouts.get(`${escrow.id}:${settledBy}`)?.status !== 'done') {
+            return { deferUntil: now + RECLAIM_RECHECK_DELAY };
+        }
+
+        let account;
+        try {
+            const { result } = await this.client.request({
+                command: 'account_info',
+                account: escrow.wallet.address,
+                ledger_index: 'validated'
+            });
+            account = result.account_data;
+        } catch (error) {
+            if (error.data?.error === 'actNotFound') {
+                return { skipped: 'Escrow account does not exist' };
+            }
+            throw error;
+        }
+        const ledgersLeft = account.Sequence + ACCOUNT_DELETE_LEDGERS - await this.client.getLedgerIndex();
+        if (ledgersLeft > 0) {
+            return { deferUntil: now + ledgersLeft * LEDGER_INTERVAL };
+        }
+
+        const { destination, refunds } = this.reclaimPayouts(escrow);
+        const txs = refunds.map(refund => ({
+            label: 'refund',
+            recipient: refund.recipient,
+            amount: refund.amount,
+            tx: { TransactionType: 'Payment', Destination: refund.recipient, Amount: refund.amount }
+        }));
+        if (escrow.trustLineTx) {
+            // A trust line with no limit and no balance is removed
+            txs.push({
+                label: 'trustLine',
+                tx: {
+                    TransactionType: 'TrustSet',
+                    LimitAmount: toXrplAmount(escrow.token, 0n),
+                    Flags: xrpl.TrustSetFlags.tfSetNoRipple
+                }
+            });
+        }
+        txs.push({
+            label: 'accountDelete',
+            recipient: destination,
+            tx: { TransactionType: 'AccountDelete', Destination: destination }
+        });
+        const failed = this.payouts.get(`${escrow.id}:reclaim`);
+        if (failed?.status === 'failed') {
+            this.payoutExecutor.retry(failed.id);
+        }
+        const plan = failed?.status === 'failed'
+            ? this.payouts.get(failed.id)
+            : this.planPayout(escrow, 'reclaim', txs, {});
+        const { reclaimTxs } = await this.runPayout(plan);
+        console.log(`Escrow account of ${escrow.id} deleted, reserve returned to ${destination}`);
+        return { txHashes: reclaimTxs.map(tx => tx.txHash) };
+    }
+
+    // Where the reserve and unused fees go on reclaim. Each depositor owes a share (src: the maker
+    // the XRP amount, the taker the safety deposit), the costs were paid by whoever deposited more
+    // than theirs and get what is left. An overpayment of the other depositor is refunded first,
+    // as long as the payer covered the costs alone. Dst escrows are only funded by the taker.
+    reclaimPayouts(escrow) {
+        const deposits = escrow.xrpDeposits;
+        if (escrow.type !== 'src' || !deposits) {
+            return { destination: escrow.taker, refunds: [] };
+        }
+        const shares = { [escrow.maker]: isXrp(escrow.token) ? escrow.amount : 0n, [escrow.taker]: escrow.safetyDeposit };
+        const surplus = address => BigInt(deposits[address] || 0) - shares[address];
+        const [payer, other] = surplus(escrow.maker) > surplus(escrow.taker)
+            ? [escrow.maker, escrow.taker]
+            : [escrow.taker, escrow.maker];
+        const refunds = surplus(other) > 0n && surplus(payer) >= escrow.costs.reserve + escrow.costs.fees
+            ? [{ recipient: other, amount: surplus(other).toString() }]
+            : [];
+        return { destination: payer, refunds };
+    }
+
+    // Same recipients as the EVM escrows: src pays the taker, dst pays the maker
+    withdrawalRecipient(escrow) {
+        return escrow.type === 'src' ? escrow.taker : escrow.maker;
+    }
+
+    async ensureNativeLock(escrow) {
+        if (!escrow.nativeEscrow) {
+            await this.lockNativeEscrow(escrow);
+        }
+    }
+
     // Hash function equivalent to Solidity keccak256
     mykeccak256(data) {
         return keccak256(data)
@@ -74,9 +1191,16 @@ class XRPLEscrowTEE {
         DstCancellation: 6
     };
 
-    // Parse timelocks from packed uint256 (similar to Solidity implementation)
+    // deployedAt packed in the top 32 bits, 0 when the timelocks have not been deployed yet
+    packedDeployedAt(packedTimelocks) {
+        return Number((BigInt(packedTimelocks) >> 224n) & 0xFFFFFFFFn);
+    }
+
+    // Parse timelocks from packed uint256 (similar to Solidity implementation).
+    // The packed deployedAt wins over the given one when it is set.
     parseTimelocks(packedTimelocks, deployedAt) {
         const data = BigInt(packedTimelocks);
+        deployedAt = this.packedDeployedAt(packedTimelocks) || deployedAt;
         const stages = {};
 
         for (let stage = 0; stage < 7; stage++) {
@@ -88,9 +1212,43 @@ class XRPLEscrowTEE {
         return stages;
     }
 
-    // Check if current time is within valid range for action
-    validateTimeWindow(escrow, stage, requireBefore = null, offset = 0) {
-        const now = Math.floor(Date.now() / 1000) + offset;
+    /**
+     * Reject timelocks the EVM side would not accept: stages of the escrow's side must not
+     * decrease, and a destination escrow must not outlive the source cancellation
+     * (EscrowFactory.createDstEscrow reverts with InvalidCreationTime).
+     */
+    validateTimelocks(type, stages, srcCancellationTimestamp) {
+        const order = type === 'src'
+            ? ['SrcWithdrawal', 'SrcPublicWithdrawal', 'SrcCancellation', 'SrcPublicCancellation']
+            : ['DstWithdrawal', 'DstPublicWithdrawal', 'DstCancellation'];
+        for (let i = 1; i < order.length; i++) {
+            if (stages[this.TimeStages[order[i]]] < stages[this.TimeStages[order[i - 1]]]) {
+                throw new Error(`Invalid timelocks: ${order[i]} is earlier than ${order[i - 1]}`);
+            }
+        }
+
+        if (type === 'dst') {
+            if (srcCancellationTimestamp === undefined || srcCancellationTimestamp === null) {
+                throw new Error('srcCancellationTimestamp is required for destination escrows');
+            }
+            const srcCancellation = Number(srcCancellationTimestamp);
+            if (!Number.isSafeInteger(srcCancellation)) {
+                throw new Error(`Invalid srcCancellationTimestamp: ${srcCancellationTimestamp}`);
+            }
+            const dstCancellation = stages[this.TimeStages.DstCancellation];
+            if (dstCancellation > srcCancellation) {
+                throw new Error(
+                    `DstCancellation (${new Date(dstCancellation * 1000).toISOString()}) is later than the source ` +
+                    `cancellation (${new Date(srcCancellation * 1000).toISOString()}), the resolver could not cancel ` +
+                    'on the source chain in time'
+                );
+            }
+        }
+    }
+
+    // Check if the current time of the configured clock is within valid range for action
+    async validateTimeWindow(escrow, stage, requireBefore = null) {
+        const now = await this.clock.now();
         const stageTime = escrow.timelocks[stage];
 
         if (now < stageTime) {
@@ -105,9 +1263,43 @@ class XRPLEscrowTEE {
         }
     }
 
-    // Validate secret against hashlock
-    validateSecret(secret, hashlock) {
+    /**
+     * Check a withdrawal secret and, for multiple fill escrows, reserve its index.
+     * Single fill escrows compare the secret hash with the hashlock. Multiple fill escrows
+     * need the secret index and a Merkle proof against the root hashlock, and every index
+     * can only be used once per order. Must run without awaiting between the check and the set.
+     * @returns {string|null} Key of the reserved index, to release if the withdrawal fails
+     */
+    reserveWithdrawSecret(escrow, { secret, secretIndex, proof }) {
+        if (!escrow.multipleFills) {
+            this.validateSecret(secret, escrow.hashlock, escrow.hashAlgorithm);
+            return null;
+        }
+
+        const index = Number(secretIndex);
         const secretHash = this.mykeccak256(secret);
+        verifyMerkleSecret({ hashlock: escrow.hashlock, secretHash, index, proof });
+
+        const { root } = parseMultiFillHashlock(escrow.hashlock);
+        const key = `${escrow.orderHash.toLowerCase()}:${root}:${index}`;
+        const used = this.secretIndexes.get(key);
+        if (used && used.escrowId !== escrow.id) {
+            throw new Error(`Secret index ${index} of this order was already used by escrow ${used.escrowId}`);
+        }
+        this.secretIndexes.set(key, { escrowId: escrow.id, secretHash, usedAt: Math.floor(Date.now() / 1000) });
+        return key;
+    }
+
+    // Nothing was paid out, the index can be used again
+    releaseSecretIndex(key) {
+        if (key) {
+            this.secretIndexes.delete(key);
+        }
+    }
+
+    // Validate secret against hashlock, keccak256 like the EVM escrows or sha256 for native escrows
+    validateSecret(secret, hashlock, hashAlgorithm = 'keccak256') {
+        const secretHash = hashAlgorithm === 'sha256' ? sha256Hashlock(secret) : this.mykeccak256(secret);
         if (secretHash.toLowerCase() !== hashlock.toLowerCase()) {
             throw new Error('Invalid secret provided');
         }
@@ -164,69 +1356,207 @@ class XRPLEscrowTEE {
         }
     }
 
-    setupRoutes() {
-        // Create new destination escrow
-        this.app.post('/escrow/create-dst', async (req, res) => {
+    // Creation response, also returned when the same immutables are created again
+    creationResponse(escrow) {
+        const requiredFunding = this.requiredFunding(escrow);
+        return {
+            escrowId: escrow.id,
+            walletAddress: escrow.wallet.address,
+            requiredDeposit: {
+                xrp: requiredFunding.xrp.toString(),
+                token: requiredFunding.token,
+                ...(isXrp(escrow.token) ? {} : { currency: escrow.token.currency, issuer: escrow.token.issuer }),
+                // Included in `xrp`, returned to whoever paid it once the escrow account is deleted
+                reserve: (escrow.costs?.reserve ?? 0n).toString(),
+                fees: (escrow.costs?.fees ?? 0n).toString()
+            },
+            timelocks: escrow.timelocks,
+            receipt: (escrow.receipts || []).find(receipt => receipt.payload.event === 'created')
+        };
+    }
+
+    // Shared by create-src and create-dst, the escrow type decides depositors, windows and payouts
+    async createEscrow(req, res, type) {
+        let escrowId;
+        let reserved = false;
+        try {
+            const {
+                orderHash,
+                hashlock,
+                maker,
+                taker,
+                token,
+                amount,
+                safetyDeposit,
+                timelocks,
+                srcCancellationTimestamp,
+                allowMultipleFills = false,
+                mode = 'custodial',
+                hashAlgorithm = mode === 'native' ? 'sha256' : 'keccak256'
+            } = req.body;
+
+            if (req.body.type && req.body.type !== type) {
+                return res.status(400).json({ error: `Escrow type "${req.body.type}" does not match /escrow/create-${type}` });
+            }
+
+            let escrowToken;
+            let escrowAmount;
             try {
-                const {
-                    orderHash,
-                    hashlock,
-                    maker,
-                    taker,
-                    token,
-                    amount,
-                    safetyDeposit,
-                    timelocks,
-                    type
-                } = req.body;
-
-                // Generate new wallet for this escrow
-                const escrowWallet = await this.generateEscrowWallet();
-                const deployedAt = Math.floor(Date.now() / 1000);
-                const parsedTimelocks = this.parseTimelocks(timelocks, deployedAt);
-
-                const escrowId = crypto.randomUUID();
-                const escrow = {
-                    id: escrowId,
-                    orderHash,
-                    hashlock: hashlock,
-                    maker: maker,
-                    taker: taker,
-                    token: token,
-                    amount: BigInt(amount),
-                    safetyDeposit: BigInt(safetyDeposit),
-                    timelocks: parsedTimelocks,
-                    deployedAt,
-                    wallet: {
-                        address: escrowWallet.address,
-                        publicKey: escrowWallet.publicKey
-                    },
-                    status: 'created',
-                    type: type
-                };
-
-                // Store escrow and wallet seed securely
-                this.escrows.set(escrowId, escrow);
-                this.walletSeeds.set(escrowId, escrowWallet.seed);
+                escrowToken = parseToken(token);
+                escrowAmount = parseAmount(escrowToken, amount);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+            if (!['custodial', 'native'].includes(mode)) {
+                return res.status(400).json({ error: `Unknown escrow mode: ${mode}` });
+            }
+            if (!['keccak256', 'sha256'].includes(hashAlgorithm)) {
+                return res.status(400).json({ error: `Unknown hash algorithm: ${hashAlgorithm}` });
+            }
+            if (mode === 'native') {
+                // The ledger can only check a sha256 preimage, and native escrows hold XRP only
+                if (hashAlgorithm !== 'sha256' || !isXrp(escrowToken)) {
+                    return res.status(400).json({ error: 'Native escrows require an XRP amount and a sha256 hashlock' });
+                }
+                try {
+                    preimageCondition(hashlock);
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+            }
 
-                res.json({
-                    escrowId,
-                    walletAddress: escrowWallet.address,
-                    requiredDeposit: {
-                        xrp: token === '0x0000000000000000000000000000000000000000' ?
-                            (escrow.amount + escrow.safetyDeposit).toString() :
-                            escrow.safetyDeposit.toString(),
-                        token: token !== '0x0000000000000000000000000000000000000000' ?
-                            escrow.amount.toString() : '0'
-                    },
-                    timelocks: parsedTimelocks
+            // The id is the hash of the immutables, like ImmutablesLib.hash on the EVM side
+            try {
+                escrowId = hashImmutables({
+                    orderHash, hashlock, maker, taker, token: escrowToken, amount: escrowAmount, safetyDeposit, timelocks
                 });
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+            // Type, mode, hashlock algorithm and fill type are not part of the hash, one escrow per id
+            // holds them and a request for the same immutables with other values is a conflict
+            const existing = this.escrows.get(escrowId);
+            if (existing) {
+                const conflicts = [
+                    ['type', existing.type, type],
+                    ['mode', existing.mode, mode],
+                    ['hashAlgorithm', existing.hashAlgorithm, hashAlgorithm],
+                    ['multipleFills', Boolean(existing.multipleFills), Boolean(allowMultipleFills)]
+                ].filter(([, current, requested]) => current !== requested).map(([field]) => field);
+                if (conflicts.length > 0) {
+                    return res.status(409).json({
+                        error: `Escrow ${escrowId} already exists as a ${existing.mode} ${existing.type} escrow ` +
+                            `with a different ${conflicts.join(', ')}`
+                    });
+                }
+                return res.json(this.creationResponse(existing));
+            }
+
+            if (allowMultipleFills) {
+                // Merkle proofs are checked by the TEE, the ledger cannot
+                if (mode === 'native' || hashAlgorithm !== 'keccak256') {
+                    return res.status(400).json({ error: 'Multiple fills require a custodial escrow with a keccak256 hashlock' });
+                }
+                try {
+                    parseMultiFillHashlock(hashlock);
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+            }
+            if (!isXrp(escrowToken)) {
+                try {
+                    await this.checkIssuer(escrowToken);
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+            }
 
+            // Timelocks count from the packed deployedAt, or from now when it is not set
+            let deployedAt;
+            let parsedTimelocks;
+            try {
+                deployedAt = this.packedDeployedAt(timelocks) || await this.clock.now();
+                parsedTimelocks = this.parseTimelocks(timelocks, deployedAt);
+                this.validateTimelocks(type, parsedTimelocks, srcCancellationTimestamp);
             } catch (error) {
-                console.error('Error creating destination escrow:', error);
-                res.status(500).json({ error: error.message });
+                return res.status(400).json({ error: error.message });
             }
-        });
+
+            // Reserve and fees the escrow account needs, refused while the network fee is above the cap
+            let costs;
+            try {
+                costs = await this.fees.quote({ token: escrowToken, mode });
+            } catch (error) {
+                return res.status(503).json({ error: error.message });
+            }
+
+            // A concurrent request for the same immutables got here first
+            if (this.pendingCreates.has(escrowId) || this.escrows.has(escrowId)) {
+                return res.status(409).json({ error: `Escrow ${escrowId} is already being created, retry to get it` });
+            }
+            this.pendingCreates.add(escrowId);
+            reserved = true;
+
+            // Derive a new wallet for this escrow
+            const escrowWallet = await this.generateEscrowWallet(escrowId);
+            // Funding must land in a later ledger than this one
+            const createdLedgerIndex = await this.client.getLedgerIndex();
+
+            const escrow = {
+                id: escrowId,
+                orderHash,
+                hashlock: hashlock,
+                maker: maker,
+                taker: taker,
+                token: escrowToken,
+                amount: escrowAmount,
+                safetyDeposit: BigInt(safetyDeposit),
+                timelocks: parsedTimelocks,
+                deployedAt,
+                ...(type === 'dst' ? { srcCancellationTimestamp: Number(srcCancellationTimestamp) } : {}),
+                createdLedgerIndex,
+                wallet: {
+                    address: escrowWallet.address,
+                    publicKey: escrowWallet.publicKey,
+                    derivationPath: escrowWallet.derivationPath
+                },
+                status: 'created',
+                type: type,
+                mode,
+                hashAlgorithm,
+                costs,
+                ...(allowMultipleFills ? { multipleFills: true } : {})
+            };
+
+            // Without the faucet the account does not exist yet, see ensureTrustLine
+            if (!isXrp(escrowToken) && this.config.faucet) {
+                escrow.trustLineTx = await this.setupTrustLine(escrow);
+            }
+
+            // Only the derivation path is stored, the key is re-derived when needed
+            this.escrows.set(escrowId, escrow);
+            this.indexEscrow(escrow);
+            this.issueReceipt(escrow, 'created');
+            await this.watchDeposits(escrow);
+
+            res.json(this.creationResponse(escrow));
+
+        } catch (error) {
+            console.error(`Error creating ${type} escrow:`, error);
+            res.status(500).json({ error: error.message });
+        } finally {
+            if (reserved) {
+                this.pendingCreates.delete(escrowId);
+            }
+        }
+    }
+
+    setupRoutes() {
+        // Create new destination escrow: the resolver (taker) deposits amount and safety deposit
+        this.app.post('/escrow/create-dst', (req, res) => this.createEscrow(req, res, 'dst'));
+
+        // Create new source escrow: the maker deposits the amount, the taker the safety deposit
+        this.app.post('/escrow/create-src', (req, res) => this.createEscrow(req, res, 'src'));
 
         // Fund the escrow wallet
         this.app.post('/escrow/:escrowId/fund', async (req, res) => {
@@ -234,66 +1564,73 @@ class XRPLEscrowTEE {
                 const { escrowId } = req.params;
                 const { fromAddress, txHash } = req.body;
 
-                let txHashes = txHash.split(',')
-
-                const escrow = this.escrows.get(escrowId);
+                const escrow = this.findEscrow(escrowId);
                 if (!escrow) {
                     return res.status(404).json({ error: 'Escrow not found' });
                 }
 
-                // Ensure txHashes is an array
-                const hashArray = Array.isArray(txHashes) ? txHashes : [txHashes];
-
-                let totalAmountReceived = 0n;
-                const verifiedTxs = [];
+                // Accept an array or a comma separated list of hashes
+                const hashArray = (Array.isArray(txHash) ? txHash : String(txHash || '').split(','))
+                    .map(hash => this.normalizeTxHash(hash))
+                    .filter(Boolean);
+                if (hashArray.length === 0) {
+                    return res.status(400).json({ error: 'No funding transaction hashes given' });
+                }
+                if (new Set(hashArray).size !== hashArray.length) {
+                    return res.status(400).json({ error: 'Duplicate funding transaction hashes' });
+                }
 
-                // Verify each funding transaction
-                for (const txHash of hashArray) {
-                    console.log("Verifying funding transaction", txHash)
-                    const tx = await this.client.request({
-                        command: 'tx',
-                        transaction: txHash
+                // The deposit watcher may already have funded the escrow with these transactions
+                if (escrow.status === 'funded' && hashArray.every(hash => this.fundingTxs.get(hash)?.escrowId === escrow.id)) {
+                    return res.json({
+                        message: 'Escrow already funded',
+                        escrowId: escrow.id,
+                        fundingTxs: escrow.fundingTxs,
+                        receipt: (escrow.receipts || []).find(receipt => receipt.payload.event === 'funded')
                     });
+                }
+                if (escrow.status !== 'created') {
+                    return res.status(400).json({ error: 'Escrow already funded or processed' });
+                }
 
-                    if (tx.result.tx_json.TransactionType !== 'Payment') {
-                        return res.status(400).json({
-                            error: `Invalid transaction type for ${txHash}`
-                        });
-                    }
+                // One sender for all hashes, or one per hash in the same order
+                const senders = (Array.isArray(fromAddress) ? fromAddress : String(fromAddress || '').split(','))
+                    .map(address => address.trim())
+                    .filter(Boolean);
+                if (senders.length !== 1 && senders.length !== hashArray.length) {
+                    return res.status(400).json({ error: 'fromAddress must be one address or one per transaction' });
+                }
 
-                    if (tx.result.tx_json.Destination !== escrow.wallet.address) {
-                        return res.status(400).json({
-                            error: `Payment ${txHash} not sent to escrow address`
+                // A deposit can only ever fund one escrow
+                for (const hash of hashArray) {
+                    const consumed = this.fundingTxs.get(hash);
+                    if (consumed) {
+                        return res.status(409).json({
+                            error: `Funding transaction ${hash} was already used for escrow ${consumed.escrowId}`
                         });
                     }
-
-                    const amountReceived = BigInt(tx.result.meta.delivered_amount);
-                    totalAmountReceived += amountReceived;
-                    verifiedTxs.push({
-                        txHash,
-                        amount: amountReceived.toString()
-                    });
                 }
 
-                const requiredAmount = escrow.token === '0x0000000000000000000000000000000000000000' ?
-                    escrow.amount + escrow.safetyDeposit :
-                    escrow.safetyDeposit;
-
-                if (totalAmountReceived < requiredAmount) {
-                    return res.status(400).json({
-                        error: `Insufficient funding. Required: ${requiredAmount}, Received: ${totalAmountReceived}`,
-                        verifiedTxs
+                // Verify each funding transaction
+                console.log("Verifying funding transactions", hashArray)
+                const funding = hashArray.map((hash, i) => ({
+                    txHash: hash,
+                    fromAddress: senders[senders.length === 1 ? 0 : i]
+                }));
+                const outcome = await this.applyFunding(escrow, funding);
+                if (outcome.error) {
+                    return res.status(outcome.status).json({
+                        error: outcome.error,
+                        verifiedTxs: outcome.verifiedTxs
                     });
                 }
 
-                escrow.status = 'funded';
-                escrow.fundingTxs = hashArray;
-
                 res.json({
                     message: 'Escrow successfully funded',
-                    escrowId,
-                    totalAmountReceived: totalAmountReceived.toString(),
-                    verifiedTxs
+                    escrowId: escrow.id,
+                    totalAmountReceived: outcome.totalAmountReceived.toString(),
+                    verifiedTxs: outcome.verifiedTxs,
+                    receipt: outcome.receipt
                 });
 
             } catch (error) {
@@ -302,211 +1639,138 @@ class XRPLEscrowTEE {
             }
         });
 
-        // Withdraw from destination escrow (for maker)
+        // Withdraw with the secret: src escrows pay the taker, dst escrows the maker
         this.app.post('/escrow/:escrowId/withdraw', async (req, res) => {
             try {
                 const { escrowId } = req.params;
-                const { secret, callerAddress, isPublic = false } = req.body;
+                const { secret, secretIndex, proof, callerAddress, isPublic = false } = req.body;
 
-                const escrow = this.escrows.get(escrowId);
+                const escrow = this.findEscrow(escrowId);
                 if (!escrow) {
                     return res.status(404).json({ error: 'Escrow not found' });
                 }
 
-                if (escrow.status !== 'funded') {
-                    return res.status(400).json({ error: 'Escrow not funded' });
-                }
-
-                // Validate secret
-                this.validateSecret(secret, escrow.hashlock);
+                await this.escrowLocks.run(escrow.id, async () => {
+                    if (!this.checkTransition(res, escrow, 'withdrawing', 'Escrow not funded')) {
+                        return;
+                    }
 
-                // Validate caller and timing
-                if (!isPublic) {
-                    if (callerAddress !== escrow.taker) {
-                        return res.status(403).json({ error: 'Only taker can withdraw during private period' });
+                    // Validate caller and timing
+                    if (!isPublic) {
+                        if (!this.authorizeCaller(req, res, escrow, 'withdraw', 'Only taker can withdraw during private period')) {
+                            return;
+                        }
+                        if (escrow.type === 'src') {
+                            await this.validateTimeWindow(escrow, this.TimeStages.SrcWithdrawal, this.TimeStages.SrcCancellation);
+                        } else {
+                            await this.validateTimeWindow(escrow, this.TimeStages.DstWithdrawal, this.TimeStages.DstCancellation);
+                        }
+                    } else {
+                        // Public withdrawal - anyone can call, the safety deposit goes to callerAddress
+                        if (!xrpl.isValidClassicAddress(callerAddress || '')) {
+                            return res.status(400).json({ error: 'Public withdrawal requires a valid callerAddress' });
+                        }
+                        await this.validateTimeWindow(
+                            escrow,
+                            escrow.type === 'src' ? this.TimeStages.SrcPublicWithdrawal : this.TimeStages.DstPublicWithdrawal,
+                            escrow.type === 'src' ? this.TimeStages.SrcCancellation : this.TimeStages.DstCancellation
+                        );
                     }
-                    this.validateTimeWindow(
-                        escrow,
-                        this.TimeStages.DstWithdrawal,
-                        this.TimeStages.DstCancellation,
-                        11 // simulate 11 seconds delay, just like EVM part
-                    );
-                } else {
-                    // Public withdrawal - anyone can call
-                    this.validateTimeWindow(
-                        escrow,
-                        this.TimeStages.DstPublicWithdrawal,
-                        this.TimeStages.DstCancellation
-                    );
-                }
 
-                // Execute withdrawal
-                const walletSeed = this.walletSeeds.get(escrowId);
-                const wallet = xrpl.Wallet.fromSeed(walletSeed);
-
-                const payment = {
-                    TransactionType: 'Payment',
-                    Account: wallet.address,
-                    Destination: escrow.maker,
-                    Amount: escrow.amount.toString()
-                };
-                console.log("Withdrawing from escrow", payment)
-                const prepared = await this.client.autofill(payment);
-                const signed = wallet.sign(prepared);
-                const result = await this.client.submitAndWait(signed.tx_blob);
-
-                if (result.result.meta.TransactionResult === 'tesSUCCESS') {
-                    escrow.status = 'withdrawn';
-                    escrow.withdrawTx = result.result.hash;
-                    escrow.secret = secret;
-
-                    // Send safety deposit to caller
-                    if (escrow.safetyDeposit > 0) {
-                        const safetyPayment = {
-                            TransactionType: 'Payment',
-                            Account: wallet.address,
-                            Destination: callerAddress,
-                            Amount: escrow.safetyDeposit.toString()
-                        };
-
-                        const preparedSafety = await this.client.autofill(safetyPayment);
-                        const signedSafety = wallet.sign(preparedSafety);
-                        await this.client.submitAndWait(signedSafety.tx_blob);
+                    // Validate secret, taking its index for multiple fill escrows
+                    let secretKey;
+                    try {
+                        secretKey = this.reserveWithdrawSecret(escrow, { secret, secretIndex, proof });
+                    } catch (error) {
+                        return res.status(400).json({ error: error.message });
                     }
 
+                    if (!isPublic) {
+                        this.callerAuth.consume(req.body.auth);
+                    }
+                    const { txHash, receipt } = await this.executeWithdrawal(escrow, { secret, secretIndex, secretKey }, callerAddress);
                     res.json({
                         message: 'Withdrawal successful',
-                        txHash: result.result.hash,
+                        txHash,
                         secret: secret,
-                        amount: escrow.amount.toString()
+                        amount: escrow.amount.toString(),
+                        receipt
                     });
-                } else {
-                    throw new Error(`Transaction failed: ${result.result.meta.TransactionResult}`);
-                }
-
+                });
             } catch (error) {
                 console.error('Error processing withdrawal:', error);
                 res.status(500).json({ error: error.message });
             }
         });
 
-        // Cancel destination escrow
+        // Cancel escrow (taker only)
         this.app.post('/escrow/:escrowId/cancel', async (req, res) => {
             // This happens if maker does not reveal the secret in time.
             try {
                 const { escrowId } = req.params;
-                const { callerAddress } = req.body;
+                const { callerAddress, isPublic = false } = req.body;
 
-                const escrow = this.escrows.get(escrowId);
+                const escrow = this.findEscrow(escrowId);
                 if (!escrow) {
                     return res.status(404).json({ error: 'Escrow not found' });
                 }
 
-                if (escrow.status !== 'funded') {
-                    return res.status(400).json({ error: 'Escrow not funded or already processed' });
-                }
-
-                // Validate caller and timing - todo: include nonce signature to ensure PubKey
-                if (callerAddress !== escrow.taker) {
-                    return res.status(403).json({ error: 'Only taker can cancel' });
-                }
-
-                this.validateTimeWindow(escrow, this.TimeStages.DstCancellation, null, 125);
-
-                // Execute cancellation based on escrow type
-                const walletSeed = this.walletSeeds.get(escrowId);
-                const wallet = xrpl.Wallet.fromSeed(walletSeed);
-
-                let cancelTxs = [];
-
-                if (escrow.type === 'dst') {
-                    // DST escrow: return everything to taker
-                    const payment = {
-                        TransactionType: 'Payment',
-                        Account: wallet.address,
-                        Destination: escrow.taker,
-                        Amount: (escrow.amount + escrow.safetyDeposit).toString()
-                    };
+                await this.escrowLocks.run(escrow.id, async () => {
+                    if (!this.checkTransition(res, escrow, 'cancelling', 'Escrow not funded or already processed')) {
+                        return;
+                    }
 
-                    const prepared = await this.client.autofill(payment);
-                    const signed = wallet.sign(prepared);
-                    const result = await this.client.submitAndWait(signed.tx_blob);
+                    // Kept for older clients, same as /public-cancel
+                    if (isPublic) {
+                        return await this.publicCancel(req, res, escrow);
+                    }
 
-                    if (result.result.meta.TransactionResult === 'tesSUCCESS') {
-                        cancelTxs.push({
-                            recipient: escrow.taker,
-                            amount: (escrow.amount + escrow.safetyDeposit).toString(),
-                            txHash: result.result.hash
-                        });
-                    } else {
-                        throw new Error(`Payment to taker failed: ${result.result.meta.TransactionResult}`);
+                    // Validate caller and timing
+                    if (!this.authorizeCaller(req, res, escrow, 'cancel', 'Only taker can cancel')) {
+                        return;
                     }
-                } else if (escrow.type === 'src') {
-                    // SRC escrow: return amount to maker, safety deposit to taker
-
-                    // Return amount to maker
-                    if (escrow.amount > 0) {
-                        const makerPayment = {
-                            TransactionType: 'Payment',
-                            Account: wallet.address,
-                            Destination: escrow.maker,
-                            Amount: escrow.amount.toString()
-                        };
-
-                        const preparedMaker = await this.client.autofill(makerPayment);
-                        const signedMaker = wallet.sign(preparedMaker);
-                        const makerResult = await this.client.submitAndWait(signedMaker.tx_blob);
-
-                        if (makerResult.result.meta.TransactionResult === 'tesSUCCESS') {
-                            cancelTxs.push({
-                                recipient: escrow.maker,
-                                amount: escrow.amount.toString(),
-                                txHash: makerResult.result.hash
-                            });
-                        } else {
-                            throw new Error(`Payment to maker failed: ${makerResult.result.meta.TransactionResult}`);
-                        }
+                    if (escrow.type === 'src') {
+                        await this.validateTimeWindow(escrow, this.TimeStages.SrcCancellation);
+                    } else {
+                        await this.validateTimeWindow(escrow, this.TimeStages.DstCancellation);
                     }
 
-                    // Return safety deposit to taker
-                    if (escrow.safetyDeposit > 0) {
-                        const takerPayment = {
-                            TransactionType: 'Payment',
-                            Account: wallet.address,
-                            Destination: escrow.taker,
-                            Amount: escrow.safetyDeposit.toString()
-                        };
-
-                        const preparedTaker = await this.client.autofill(takerPayment);
-                        const signedTaker = wallet.sign(preparedTaker);
-                        const takerResult = await this.client.submitAndWait(signedTaker.tx_blob);
-
-                        if (takerResult.result.meta.TransactionResult === 'tesSUCCESS') {
-                            cancelTxs.push({
-                                recipient: escrow.taker,
-                                amount: escrow.safetyDeposit.toString(),
-                                txHash: takerResult.result.hash
-                            });
-                        } else {
-                            throw new Error(`Safety deposit payment to taker failed: ${takerResult.result.meta.TransactionResult}`);
-                        }
-                    }
-                } else {
-                    throw new Error(`Unknown escrow type: ${escrow.type}`);
+                    this.callerAuth.consume(req.body.auth);
+                    const { cancelTxs, receipt } = await this.executeCancellation(escrow, callerAddress);
+
+                    res.json({
+                        message: 'Escrow cancelled successfully',
+                        escrowType: escrow.type,
+                        cancelTxs: cancelTxs,
+                        totalRefunded: isXrp(escrow.token) ?
+                            (escrow.amount + escrow.safetyDeposit).toString() :
+                            { xrp: escrow.safetyDeposit.toString(), token: toXrplAmount(escrow.token, escrow.amount) },
+                        receipt
+                    });
+                });
+            } catch (error) {
+                console.error('Error cancelling escrow:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Public cancellation of a stale escrow, the caller earns the safety deposit
+        this.app.post('/escrow/:escrowId/public-cancel', async (req, res) => {
+            try {
+                const escrow = this.findEscrow(req.params.escrowId);
+                if (!escrow) {
+                    return res.status(404).json({ error: 'Escrow not found' });
                 }
 
-                escrow.status = 'cancelled';
-                escrow.cancelTxs = cancelTxs;
+                await this.escrowLocks.run(escrow.id, async () => {
+                    if (!this.checkTransition(res, escrow, 'cancelling', 'Escrow not funded or already processed')) {
+                        return;
+                    }
 
-                res.json({
-                    message: 'Escrow cancelled successfully',
-                    escrowType: escrow.type,
-                    cancelTxs: cancelTxs,
-                    totalRefunded: (escrow.amount + escrow.safetyDeposit).toString()
+                    await this.publicCancel(req, res, escrow);
                 });
-
             } catch (error) {
-                console.error('Error cancelling escrow:', error);
+                console.error('Error cancelling escrow publicly:', error);
                 res.status(500).json({ error: error.message });
             }
         });
@@ -517,83 +1781,320 @@ class XRPLEscrowTEE {
                 const { escrowId } = req.params;
                 const { callerAddress, amount } = req.body;
 
-                const escrow = this.escrows.get(escrowId);
+                const escrow = this.findEscrow(escrowId);
                 if (!escrow) {
                     return res.status(404).json({ error: 'Escrow not found' });
                 }
 
-                // Only taker can rescue after rescue delay
-                if (callerAddress !== escrow.taker) {
-                    return res.status(403).json({ error: 'Only taker can rescue funds' });
-                }
-
-                const rescueStart = escrow.deployedAt + this.config.rescueDelay;
-                const now = Math.floor(Date.now() / 1000);
-
-                if (now < rescueStart) {
-                    return res.status(400).json({
-                        error: `Rescue not available until ${new Date(rescueStart * 1000)}`
-                    });
-                }
-
-                // Execute rescue
-                const walletSeed = this.walletSeeds.get(escrowId);
-                const wallet = xrpl.Wallet.fromSeed(walletSeed);
+                await this.escrowLocks.run(escrow.id, async () => {
+                    // Only taker can rescue after rescue delay
+                    if (!this.authorizeCaller(req, res, escrow, 'rescue', 'Only taker can rescue funds')) {
+                        return;
+                    }
 
-                const payment = {
-                    TransactionType: 'Payment',
-                    Account: wallet.address,
-                    Destination: callerAddress,
-                    Amount: amount
-                };
+                    // Only what is left once the escrow settled can be rescued, never funds a payout still needs
+                    const settledBy = { withdrawn: 'withdraw', cancelled: 'cancel' }[escrow.status];
+                    if (!settledBy) {
+                        return res.status(400).json({ error: `Escrow is ${escrow.status}, rescue needs a withdrawn or cancelled escrow` });
+                    }
+                    if (this.payouts.get(`${escrow.id}:${settledBy}`)?.status !== 'done') {
+                        return res.status(409).json({ error: `The ${settledBy} payout of the escrow is unfinished, try again later` });
+                    }
+                    if (escrow.reclaimedAt) {
+                        return res.status(400).json({ error: 'Escrow account already deleted' });
+                    }
 
-                const prepared = await this.client.autofill(payment);
-                const signed = wallet.sign(prepared);
-                const result = await this.client.submitAndWait(signed.tx_blob);
+                    const rescueStart = escrow.deployedAt + this.config.rescueDelay;
+                    const now = await this.clock.now();
 
-                if (result.result.meta.TransactionResult === 'tesSUCCESS') {
-                    res.json({
-                        message: 'Funds rescued successfully',
-                        txHash: result.result.hash,
-                        amount: amount
-                    });
-                } else {
-                    throw new Error(`Transaction failed: ${result.result.meta.TransactionResult}`);
-                }
+                    if (now < rescueStart) {
+                        return res.status(400).json({
+                            error: `Rescue not available until ${new Date(rescueStart * 1000)}`
+                        });
+                    }
 
+                    this.callerAuth.consume(req.body.auth);
+                    const result = await this.executeRescue(escrow, callerAddress, amount);
+                    res.json({ message: 'Funds rescued successfully', ...result });
+                });
             } catch (error) {
                 console.error('Error rescuing funds:', error);
                 res.status(500).json({ error: error.message });
             }
         });
 
+        // Single-use nonce for signing a withdraw, cancel or rescue request
+        this.app.post('/auth/challenge', this.rateLimitPerIp(), (req, res) => {
+            try {
+                res.json(this.callerAuth.issueChallenge());
+            } catch (error) {
+                res.status(503).json({ error: error.message });
+            }
+        });
+
+        // Signed receipts of every state transition of an escrow
+        this.app.get('/escrow/:escrowId/receipts', (req, res) => {
+            const escrow = this.findEscrow(req.params.escrowId);
+            if (!escrow) {
+                return res.status(404).json({ error: 'Escrow not found' });
+            }
+            res.json({ escrowId: escrow.id, receipts: escrow.receipts || [] });
+        });
+
         // Get escrow status
         this.app.get('/escrow/:escrowId', (req, res) => {
             const { escrowId } = req.params;
-            const escrow = this.escrows.get(escrowId);
+            const escrow = this.findEscrow(escrowId);
 
             if (!escrow) {
                 return res.status(404).json({ error: 'Escrow not found' });
             }
 
-            // Return escrow info without sensitive data
-            const publicEscrow = {
-                id: escrow.id,
-                orderHash: escrow.orderHash,
-                hashlock: escrow.hashlock,
-                maker: escrow.maker,
-                taker: escrow.taker,
-                token: escrow.token,
-                amount: escrow.amount.toString(),
-                safetyDeposit: escrow.safetyDeposit.toString(),
-                timelocks: escrow.timelocks,
-                deployedAt: escrow.deployedAt,
-                walletAddress: escrow.wallet.address,
-                status: escrow.status,
-                type: escrow.type
-            };
+            res.json(this.publicEscrow(escrow));
+        });
+
+        // All escrows of an order, e.g. the source and destination escrow of a swap
+        this.app.get('/escrows', (req, res) => {
+            const { orderHash } = req.query;
+            if (!orderHash) {
+                return res.status(400).json({ error: 'orderHash query parameter is required' });
+            }
+            const ids = this.escrowsByOrder.get(String(orderHash).toLowerCase()) || new Set();
+            // Secret indexes of a multiple fill order that resolvers can no longer withdraw with
+            const prefix = `${String(orderHash).toLowerCase()}:`;
+            const usedSecretIndexes = [...this.secretIndexes.keys()]
+                .filter(key => key.startsWith(prefix))
+                .map(key => Number(key.split(':')[2]))
+                .sort((a, b) => a - b);
+            res.json({
+                orderHash,
+                escrows: [...ids].map(id => this.publicEscrow(this.escrows.get(id))),
+                usedSecretIndexes
+            });
+        });
+
+        // Secrets revealed by withdrawals, by order hash and/or hashlock
+        this.app.get('/secrets', (req, res) => {
+            if (!req.query.orderHash && !req.query.hashlock) {
+                return res.status(400).json({ error: 'orderHash or hashlock query parameter is required' });
+            }
+            res.json({ secrets: this.revealedSecrets(this.secretFilter(req.query)) });
+        });
+
+        // Server-sent events: secrets already revealed, then every new one as its withdrawal succeeds
+        this.app.get('/secrets/stream', (req, res) => {
+            const filter = this.secretFilter(req.query);
+            streamEvents(req, res, {
+                source: this.secretFeed,
+                eventName: 'secret',
+                backlog: this.revealedSecrets(filter),
+                filter,
+                format: entry => `event: secret\ndata: ${JSON.stringify(entry)}\n\n`
+            });
+        });
+
+        // Server-sent events: escrow lifecycle events after the cursor, then live ones.
+        // Filters: escrowId, address (maker, taker or escrow wallet), types (comma separated).
+        // Reconnecting clients resume with Last-Event-ID or ?cursor=<last event id>.
+        this.app.get('/events', (req, res) => {
+            const cursor = Number(req.get('last-event-id') ?? req.query.cursor ?? this.eventLog.lastId);
+            if (!Number.isSafeInteger(cursor) || cursor < 0) {
+                return res.status(400).json({ error: 'cursor must be a non-negative event id' });
+            }
+            const filter = eventFilter(req.query);
+            // Older events were trimmed from the log, the client missed some and should resync
+            const truncated = cursor + 1 < this.eventLog.oldestId();
+            streamEvents(req, res, {
+                source: this.eventLog,
+                eventName: 'event',
+                backlog: this.eventLog.since(cursor, filter),
+                filter,
+                format: event => `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`,
+                preamble: truncated ? `event: truncated\ndata: ${JSON.stringify({ oldestId: this.eventLog.oldestId() })}\n\n` : ''
+            });
+        });
+
+        // Register a webhook for lifecycle events, optionally filtered by maker, taker or order hash.
+        // The registering account signs a challenge over the url, must be the maker or taker of an
+        // escrow and owns a limited number of webhooks, so fresh keypairs cannot fill the registry.
+        // The response carries the secret deliveries are signed with, it is not shown again.
+        this.app.post('/webhooks', this.rateLimitPerIp(), (req, res) => {
+            const { url, maker, taker, orderHash, types, callerAddress, auth } = req.body;
+            try {
+                this.callerAuth.check({ action: 'webhook', resource: String(url), callerAddress }, auth);
+            } catch (error) {
+                return res.status(401).json({ error: error.message });
+            }
+            const participant = [...this.escrows.values()]
+                .some(escrow => escrow.maker === callerAddress || escrow.taker === callerAddress);
+            if (!participant) {
+                return res.status(403).json({ error: 'Only the maker or taker of an escrow can register webhooks' });
+            }
+            try {
+                const webhook = this.webhookDispatcher.register({ url, owner: callerAddress, maker, taker, orderHash, types });
+                this.callerAuth.consume(auth);
+                res.status(201).json(webhook);
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        this.app.get('/webhooks/:webhookId', (req, res) => {
+            const webhook = this.authorizeWebhook(req, res);
+            if (webhook) {
+                res.json(this.webhookDispatcher.publicWebhook(webhook));
+            }
+        });
+
+        this.app.delete('/webhooks/:webhookId', (req, res) => {
+            const webhook = this.authorizeWebhook(req, res);
+            if (webhook) {
+                this.webhookDispatcher.unregister(webhook.id);
+                res.json({ message: 'Webhook removed', id: webhook.id });
+            }
+        });
+
+        // Delivery log of a webhook, ?status=pending|delivered|dead (dead-lettered)
+        this.app.get('/webhooks/:webhookId/deliveries', (req, res) => {
+            const webhook = this.authorizeWebhook(req, res);
+            if (webhook) {
+                res.json({ deliveries: this.webhookDispatcher.deliveriesOf(webhook.id, req.query.status) });
+            }
+        });
+
+        // Retry a dead-lettered delivery once the endpoint is fixed
+        this.app.post('/webhooks/:webhookId/deliveries/:deliveryId/redeliver', (req, res) => {
+            const webhook = this.authorizeWebhook(req, res);
+            if (!webhook) {
+                return;
+            }
+            const delivery = this.webhookDispatcher.deliveries.get(req.params.deliveryId);
+            if (!delivery || delivery.webhookId !== webhook.id) {
+                return res.status(404).json({ error: 'Delivery not found' });
+            }
+            try {
+                res.json(this.webhookDispatcher.redeliver(delivery));
+            } catch (error) {
+                res.status(409).json({ error: error.message });
+            }
+        });
+
+        // Operator view of scheduled default actions, ?status=scheduled|running|done|skipped|failed&escrowId=
+        this.app.get('/admin/jobs', async (req, res) => {
+            try {
+                if (!this.authorizeAdmin(req, res)) {
+                    return;
+                }
+                const escrow = req.query.escrowId ? this.findEscrow(req.query.escrowId) : null;
+                res.json({
+                    now: await this.clock.now(),
+                    autoActions: this.config.autoActions,
+                    jobs: this.scheduler.list({ status: req.query.status, escrowId: escrow?.id ?? req.query.escrowId })
+                });
+            } catch (error) {
+                console.error('Error listing jobs:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Payout journal, ?status=pending|done|failed&escrowId=
+        this.app.get('/admin/payouts', (req, res) => {
+            if (!this.authorizeAdmin(req, res)) {
+                return;
+            }
+            const escrow = req.query.escrowId ? this.findEscrow(req.query.escrowId) : null;
+            const payouts = [...this.payouts.values()]
+                .filter(plan => (!req.query.status || plan.status === req.query.status) &&
+                    (!req.query.escrowId || plan.escrowId === (escrow?.id ?? req.query.escrowId)))
+                .map(plan => ({
+                    ...plan,
+                    context: undefined,
+                    txs: plan.txs.map(({ txBlob, ...entry }) => entry)
+                }));
+            res.json({ payouts });
+        });
+
+        // Send the remaining transactions of a failed payout again, e.g. after topping up the escrow account
+        this.app.post('/admin/payouts/:payoutId/retry', async (req, res) => {
+            try {
+                if (!this.authorizeAdmin(req, res)) {
+                    return;
+                }
+                const plan = this.payouts.get(req.params.payoutId);
+                if (!plan) {
+                    return res.status(404).json({ error: 'Payout not found' });
+                }
+                await this.escrowLocks.run(plan.escrowId, async () => {
+                    // A funded escrow is paid out again, a settled one only gets its remaining transactions
+                    const escrow = this.findEscrow(plan.escrowId);
+                    const settled = {
+                        withdraw: ['withdrawn'],
+                        cancel: ['cancelled'],
+                        reclaim: ['withdrawn', 'cancelled'],
+                        rescue: ['withdrawn', 'cancelled']
+                    }[plan.kind];
+                    if (!settled.includes(escrow.status) &&
+                        !this.checkTransition(res, escrow, plan.kind === 'withdraw' ? 'withdrawing' : 'cancelling', `Escrow is ${escrow.status}`)) {
+                        return;
+                    }
+                    try {
+                        this.payoutExecutor.retry(plan.id);
+                    } catch (error) {
+                        return res.status(400).json({ error: error.message });
+                    }
+                    const result = await this.runPayout(this.payouts.get(plan.id));
+                    res.json({ message: 'Payout completed', ...result });
+                });
+            } catch (error) {
+                console.error('Error retrying payout:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Move the test clock forward, so test suites can keep TEE time in step with evm_increaseTime
+        this.app.post('/admin/clock/advance', async (req, res) => {
+            try {
+                if (!this.authorizeAdmin(req, res)) {
+                    return;
+                }
+                if (typeof this.clock?.advance !== 'function') {
+                    return res.status(400).json({ error: `The ${this.config.clock} clock cannot be advanced` });
+                }
+
+                try {
+                    this.clock.advance(Number(req.body.seconds));
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+                res.json({ source: this.clock.source, now: await this.clock.now() });
+            } catch (error) {
+                console.error('Error advancing clock:', error);
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Remote attestation: quote binding the TEE identity key to the code measurement
+        this.app.get('/attestation', async (req, res) => {
+            try {
+                const nonce = req.query.nonce || crypto.randomBytes(32).toString('hex');
+                if (!/^(0x)?[0-9a-fA-F]{2,128}$/.test(nonce)) {
+                    return res.status(400).json({ error: 'Nonce must be 1 to 64 hex encoded bytes' });
+                }
+
+                const identity = this.keyManager.identity();
+                const reportData = computeReportData(identity.publicKey, nonce);
+                const quote = await this.quoteProvider.getQuote(reportData);
 
-            res.json(publicEscrow);
+                res.json({
+                    identity,
+                    nonce,
+                    reportData: reportData.toString('hex'),
+                    quote
+                });
+            } catch (error) {
+                console.error('Error generating attestation:', error);
+                res.status(500).json({ error: error.message });
+            }
         });
 
         // Health check
@@ -601,11 +2102,35 @@ class XRPLEscrowTEE {
             res.json({
                 status: 'healthy',
                 connected: this.client?.isConnected() || false,
-                activeEscrows: this.escrows.size
+                activeEscrows: this.escrows.size,
+                clock: this.config.clock
             });
         });
     }
 
+    // Server options from environment variables, unset ones are left undefined for the defaults
+    static configFromEnv(env) {
+        return {
+            network: env.XRPL_NETWORK || 'wss://s.altnet.rippletest.net:51233',
+            port: env.PORT || 3000,
+            rescueDelay: parseInt(env.RESCUE_DELAY) || 60 * 30,
+            dataDir: env.ESCROW_DATA_DIR || path.join(__dirname, 'data'),
+            kms: env.KMS_BACKEND,
+            attestation: env.ATTESTATION_PROVIDER,
+            clock: env.CLOCK_SOURCE,
+            adminToken: env.ADMIN_TOKEN,
+            idempotencyTtl: parseInt(env.IDEMPOTENCY_TTL) || undefined,
+            maxFee: parseInt(env.MAX_FEE_DROPS) || undefined,
+            faucet: env.XRPL_FAUCET === 'true',
+            webhookAllowPrivate: env.WEBHOOK_ALLOW_PRIVATE === 'true',
+            rateLimitWindow: parseInt(env.RATE_LIMIT_WINDOW) || undefined,
+            rateLimitMax: parseInt(env.RATE_LIMIT_MAX) || undefined,
+            autoActions: env.AUTO_ACTIONS !== undefined
+                ? env.AUTO_ACTIONS.split(',').map(action => action.trim()).filter(Boolean)
+                : undefined
+        };
+    }
+
     async start() {
         const initialized = await this.initialize();
         if (!initialized) {
@@ -616,13 +2141,18 @@ class XRPLEscrowTEE {
             console.log(`XRPL Escrow TEE Server running on port ${this.config.port}`);
             console.log(`Network: ${this.config.network}`);
             console.log(`Rescue delay: ${this.config.rescueDelay} seconds`);
+            console.log(`Timelocks enforced against the ${this.config.clock} clock`);
         });
     }
 
     async stop() {
+        clearInterval(this.stageTimer);
+        this.scheduler.stop();
+        this.webhookDispatcher.stop();
         if (this.client) {
             await this.client.disconnect();
         }
+        this.store.close();
     }
 }
 
@@ -631,11 +2161,7 @@ module.exports = XRPLEscrowTEE;
 
 // Run server if this file is executed directly
 if (require.main === module) {
-    const server = new XRPLEscrowTEE({
-        network: process.env.XRPL_NETWORK || 'wss://s.altnet.rippletest.net:51233',
-        port: process.env.PORT || 3000,
-        rescueDelay: parseInt(process.env.RESCUE_DELAY) || 60 * 30
-    });
+    const server = new XRPLEscrowTEE(XRPLEscrowTEE.configFromEnv(process.env));
 
     server.start().catch(console.error);
 
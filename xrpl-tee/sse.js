@@ -0,0 +1,42 @@
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Serve a server-sent event stream: `backlog` first, then every `eventName` emitted by
+ * `source` that passes `filter`, until the client disconnects.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - { source, eventName, backlog, filter, format, preamble }; `format` turns an
+ *   item into its SSE frame, `preamble` is written before the backlog
+ */
+function streamEvents(req, res, { source, eventName, backlog = [], filter = () => true, format, preamble = '' }) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    // Headers are sent right away, a subscriber may not get an event for a long time
+    res.flushHeaders();
+    if (preamble) {
+        res.write(preamble);
+    }
+    for (const item of backlog) {
+        res.write(format(item));
+    }
+
+    const listener = item => {
+        if (filter(item)) {
+            res.write(format(item));
+        }
+    };
+    source.on(eventName, listener);
+    // Comments keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        source.off(eventName, listener);
+    });
+}
+
+module.exports = {
+    streamEvents
+};
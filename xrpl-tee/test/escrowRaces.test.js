@@ -0,0 +1,479 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const request = require('supertest');
+const xrpl = require('xrpl');
+const { keccak256 } = require('ethers');
+const XRPLEscrowTEE = require('../serve-escrow');
+const { createClock } = require('../clock');
+const { FundingVerifier } = require('../fundingVerifier');
+const { PayoutExecutor } = require('../payoutExecutor');
+const { FeeModel } = require('../fees');
+const { signAuthRequest } = require('../callerAuth');
+const { hashImmutables } = require('../immutables');
+
+const SECRET = '0x' + 'cd'.repeat(32);
+const XRP = '0x0000000000000000000000000000000000000000';
+
+// Ledger double: validates every submitted payment unless told otherwise, `hold()` keeps the
+// next submission in flight until released
+function mockLedger() {
+    const client = new EventEmitter();
+    client.ledger = 100;
+    client.sequences = {};
+    client.validated = {};
+    client.fundingTxs = {};
+    client.payments = [];
+    client.outcomes = [];
+    client.isConnected = () => true;
+    client.getLedgerIndex = async () => client.ledger;
+    client.autofill = async tx => ({
+        ...tx,
+        Fee: '12',
+        Sequence: client.sequences[tx.Account] || 1,
+        LastLedgerSequence: client.ledger + 20
+    });
+    client.request = async ({ command, transaction, account }) => {
+        if (command === 'tx') {
+            if (client.fundingTxs[transaction]) {
+                return { result: client.fundingTxs[transaction] };
+            }
+            const found = client.validated[transaction];
+            if (found) {
+                return { result: { validated: true, meta: { TransactionResult: found }, ledger_index: client.ledger } };
+            }
+            const error = new Error('txnNotFound');
+            error.data = { error: 'txnNotFound' };
+            throw error;
+        }
+        if (command === 'account_info') {
+            return { result: { account_data: { Sequence: client.sequences[account] || 1 } } };
+        }
+        if (command === 'server_info') {
+            return { result: { info: { validated_ledger: { reserve_base_xrp: 1, reserve_inc_xrp: 0.2 } } } };
+        }
+        if (command === 'fee') {
+            return { result: { drops: { base_fee: '10', open_ledger_fee: '10' } } };
+        }
+        return { result: {} };
+    };
+    client.submitAndWait = async blob => {
+        const tx = xrpl.decode(blob);
+        const hash = xrpl.hashes.hashSignedTx(blob);
+        const outcome = client.outcomes.shift() || 'tesSUCCESS';
+        if (typeof outcome !== 'string') {
+            await outcome;
+        }
+        const result = typeof outcome === 'string' ? outcome : 'tesSUCCESS';
+        client.ledger++;
+        client.validated[hash] = result;
+        client.sequences[tx.Account] = (client.sequences[tx.Account] || 1) + 1;
+        if (result === 'tesSUCCESS') {
+            client.payments.push({ to: tx.Destination, amount: tx.Amount });
+        }
+        return { result: { hash, meta: { TransactionResult: result }, ledger_index: client.ledger } };
+    };
+    client.hold = () => {
+        let release;
+        client.outcomes.push(new Promise(resolve => { release = resolve; }));
+        return release;
+    };
+    return client;
+}
+
+// Packed uint256 timelocks, stage offsets in seconds
+const packTimelocks = offsets => '0x' + offsets
+    .reduce((packed, offset, i) => packed | (BigInt(offset) << BigInt(32 * i)), 0n)
+    .toString(16)
+    .padStart(64, '0');
+
+const tick = () => new Promise(resolve => setTimeout(resolve, 20));
+
+// Wires a server to a ledger double the way initialize() wires it to a node
+async function connect(server, client) {
+    server.refuelWalletFromFaucet = async () => {};
+    server.watchDeposits = async () => {};
+    server.recoverEscrows();
+    await server.keyManager.open();
+
+    server.client = client;
+    server.clock = createClock({ clock: 'test' });
+    server.fundingVerifier = new FundingVerifier({ client });
+    server.fees = new FeeModel({ client });
+    server.payoutExecutor = new PayoutExecutor({
+        client,
+        plans: server.payouts,
+        pollInterval: 10,
+        sign: (plan, tx) => server.keyManager.signTransaction(server.escrowKeyRef(server.findEscrow(plan.escrowId)), tx),
+        fee: tx => server.fees.transactionFee(tx)
+    });
+}
+
+let orders = 0;
+const maker = xrpl.Wallet.generate();
+const taker = xrpl.Wallet.generate();
+
+// A funded XRP escrow: withdrawal from 0s, public withdrawal from 10s, cancellation from 50s.
+// The taker deposits everything except `makerShare` drops, which the maker deposits.
+async function fundEscrow(app, client, type, makerShare = 0n) {
+    const orderHash = '0x' + String(++orders).padStart(64, '0');
+    const created = await request(app).post(`/escrow/create-${type}`).send({
+        orderHash,
+        hashlock: keccak256(SECRET),
+        maker: maker.address,
+        taker: taker.address,
+        amount: '500',
+        safetyDeposit: '10',
+        token: XRP,
+        timelocks: packTimelocks([0, 10, 50, 60, 0, 10, 50]),
+        srcCancellationTimestamp: Math.floor(Date.now() / 1000) + 5000
+    });
+    expect(created.status).toBe(200);
+
+    const deposits = [[taker, BigInt(created.body.requiredDeposit.xrp) - makerShare], [maker, makerShare]]
+        .filter(([, amount]) => amount > 0n)
+        .map(([wallet, amount], i) => {
+            const txHash = `FUNDING${orders}${'AB'[i]}`;
+            client.fundingTxs[txHash] = {
+                validated: true,
+                ledger_index: client.ledger + 1,
+                tx_json: { TransactionType: 'Payment', Account: wallet.address, Destination: created.body.walletAddress, Flags: 0 },
+                meta: { TransactionResult: 'tesSUCCESS', delivered_amount: amount.toString() }
+            };
+            return { txHash, fromAddress: wallet.address };
+        });
+    const funded = await request(app).post(`/escrow/${created.body.escrowId}/fund`).send({
+        fromAddress: deposits.map(deposit => deposit.fromAddress),
+        txHash: deposits.map(deposit => deposit.txHash)
+    });
+    expect(funded.status).toBe(200);
+    return created.body.escrowId;
+}
+
+describe('concurrent withdrawals and cancellations', () => {
+    let dataDir;
+    let server;
+    let client;
+    let app;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'escrow-races-'));
+        server = new XRPLEscrowTEE({ dataDir, clock: 'test', autoActions: ['cancel'] });
+        client = mockLedger();
+        await connect(server, client);
+        server.expectedDepositors = () => [taker.address];
+        app = server.app;
+    });
+
+    afterEach(() => {
+        server.store.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    const fundedEscrow = (type = 'src', makerShare = 0n) => fundEscrow(app, client, type, makerShare);
+
+    async function signed(escrowId, action) {
+        const { body } = await request(app).post('/auth/challenge');
+        return {
+            callerAddress: taker.address,
+            auth: signAuthRequest(taker, { action, escrowId, nonce: body.nonce })
+        };
+    }
+
+    test('two concurrent withdrawals pay out once', async () => {
+        const escrowId = await fundedEscrow();
+        const [first, second] = await Promise.all([
+            request(app).post(`/escrow/${escrowId}/withdraw`).send({ secret: SECRET, ...await signed(escrowId, 'withdraw') }),
+            request(app).post(`/escrow/${escrowId}/withdraw`).send({ secret: SECRET, ...await signed(escrowId, 'withdraw') })
+        ]);
+
+        expect([first.status, second.status].sort()).toEqual([200, 400]);
+        expect(client.payments.filter(payment => payment.amount === '500')).toHaveLength(1);
+        expect(server.findEscrow(escrowId).status).toBe('withdrawn');
+    });
+
+    test('a retried withdrawal with the same idempotency key gets the first result', async () => {
+        const escrowId = await fundedEscrow();
+        const body = { secret: SECRET, ...await signed(escrowId, 'withdraw') };
+        const first = await request(app).post(`/escrow/${escrowId}/withdraw`).set('Idempotency-Key', 'retry-1').send(body);
+        const retried = await request(app).post(`/escrow/${escrowId}/withdraw`).set('Idempotency-Key', 'retry-1').send(body);
+
+        expect(first.status).toBe(200);
+        expect(retried.status).toBe(200);
+        expect(retried.body.receipt).toEqual(first.body.receipt);
+        expect(client.payments).toHaveLength(2);
+    });
+
+    test('a cancellation waits for an in-flight withdrawal and is rejected', async () => {
+        const escrowId = await fundedEscrow();
+        const release = client.hold();
+        const withdrawal = request(app).post(`/escrow/${escrowId}/withdraw`)
+            .send({ secret: SECRET, ...await signed(escrowId, 'withdraw') });
+        const withdrawn = withdrawal.then(response => response);
+        await tick();
+        expect(server.findEscrow(escrowId).status).toBe('withdrawing');
+
+        // The cancellation stage starts while the withdrawal is still being validated
+        server.clock.advance(55);
+        const cancellation = request(app).post(`/escrow/${escrowId}/cancel`).send(await signed(escrowId, 'cancel'));
+        const cancelled = cancellation.then(response => response);
+        await tick();
+        release();
+
+        expect((await withdrawn).status).toBe(200);
+        const rejected = await cancelled;
+        expect(rejected.status).toBe(400);
+        expect(rejected.body.error).toBe('Escrow not funded or already processed');
+        expect(client.payments.map(payment => payment.to)).toEqual([taker.address, taker.address]);
+        expect(server.findEscrow(escrowId).status).toBe('withdrawn');
+    });
+
+    test('a scheduled cancellation skips an escrow withdrawn while it waited', async () => {
+        const escrowId = await fundedEscrow();
+        const release = client.hold();
+        const withdrawal = request(app).post(`/escrow/${escrowId}/withdraw`)
+            .send({ secret: SECRET, ...await signed(escrowId, 'withdraw') });
+        const withdrawn = withdrawal.then(response => response);
+        await tick();
+
+        server.clock.advance(55);
+        const job = server.scheduler.run(`${escrowId}:cancel`);
+        await tick();
+        release();
+
+        expect((await withdrawn).status).toBe(200);
+        expect((await job).status).toBe('skipped');
+        expect(client.payments).toHaveLength(2);
+    });
+
+    test('a failed withdrawal returns the escrow to funded', async () => {
+        const escrowId = await fundedEscrow();
+        client.outcomes.push('tecUNFUNDED_PAYMENT');
+        const failed = await request(app).post(`/escrow/${escrowId}/withdraw`)
+            .send({ secret: SECRET, ...await signed(escrowId, 'withdraw') });
+        expect(failed.status).toBe(500);
+        expect(server.findEscrow(escrowId).status).toBe('funded');
+
+        server.clock.advance(55);
+        const cancelled = await request(app).post(`/escrow/${escrowId}/cancel`).send(await signed(escrowId, 'cancel'));
+        expect(cancelled.status).toBe(200);
+        expect(server.findEscrow(escrowId).status).toBe('cancelled');
+    });
+
+    test('a cancellation rejected as too early keeps its challenge', async () => {
+        const escrowId = await fundedEscrow();
+        const body = await signed(escrowId, 'cancel');
+        const early = await request(app).post(`/escrow/${escrowId}/cancel`).send(body);
+        expect(early.status).toBe(500);
+        expect(early.body.error).toMatch('Action not allowed yet');
+
+        server.clock.advance(55);
+        const cancelled = await request(app).post(`/escrow/${escrowId}/cancel`).send(body);
+        expect(cancelled.status).toBe(200);
+        expect(server.callerAuth.challenges.has(body.auth.nonce)).toBe(false);
+    });
+
+    test('challenges are limited per IP and in total', async () => {
+        const limitedDir = fs.mkdtempSync(path.join(os.tmpdir(), 'escrow-limits-'));
+        const limited = new XRPLEscrowTEE({ dataDir: limitedDir, clock: 'test', rateLimitMax: 2 });
+        const issue = () => request(limited.app).post('/auth/challenge');
+        try {
+            expect((await issue()).status).toBe(200);
+            limited.callerAuth.maxChallenges = 1;
+            const full = await issue();
+            expect(full.status).toBe(503);
+            expect(full.body.error).toBe('Too many outstanding challenges, try again later');
+            expect((await issue()).status).toBe(429);
+        } finally {
+            limited.store.close();
+            fs.rmSync(limitedDir, { recursive: true, force: true });
+        }
+    });
+
+    test('requests on an escrow with a payout of unknown outcome get 409', async () => {
+        const escrowId = await fundedEscrow();
+        server.transition(server.findEscrow(escrowId), 'withdrawing');
+
+        server.clock.advance(65);
+        const response = await request(app).post(`/escrow/${escrowId}/public-cancel`)
+            .send({ callerAddress: maker.address });
+        expect(response.status).toBe(409);
+        expect(response.body.error).toBe('Escrow is withdrawing, try again later');
+        expect(client.payments).toHaveLength(0);
+    });
+
+    // Withdraws and runs the reclaim job once the account may be deleted, returns the AccountDelete destination
+    async function reclaim(escrowId) {
+        const withdrawn = await request(app).post(`/escrow/${escrowId}/withdraw`)
+            .send({ secret: SECRET, ...await signed(escrowId, 'withdraw') });
+        expect(withdrawn.status).toBe(200);
+        client.ledger += 300;
+        const submitted = [];
+        const submit = client.submitAndWait;
+        client.submitAndWait = async blob => {
+            submitted.push(xrpl.decode(blob));
+            return submit(blob);
+        };
+        await server.runScheduledReclaim({ escrowId });
+        return submitted;
+    }
+
+    test('reclaim returns the reserve and fees to the taker who paid them', async () => {
+        const escrowId = await fundedEscrow('src', 500n);
+        const [accountDelete] = await reclaim(escrowId);
+        expect(accountDelete.TransactionType).toBe('AccountDelete');
+        expect(accountDelete.Destination).toBe(taker.address);
+    });
+
+    test('reclaim returns the reserve and fees to the maker who paid them', async () => {
+        const escrowId = await fundedEscrow('src', BigInt(500 + 1000000 + 204000));
+        const [accountDelete] = await reclaim(escrowId);
+        expect(accountDelete.Destination).toBe(maker.address);
+    });
+
+    test('reclaim refunds an overpaying depositor before deleting the account', async () => {
+        // The maker deposits 100 drops more than the amount, the taker the safety deposit and all costs
+        const escrowId = await fundedEscrow('src', 600n);
+        const escrow = server.findEscrow(escrowId);
+        escrow.xrpDeposits[taker.address] = (BigInt(escrow.xrpDeposits[taker.address]) + 100n).toString();
+        const [refund, accountDelete] = await reclaim(escrowId);
+        expect(refund).toMatchObject({ TransactionType: 'Payment', Destination: maker.address, Amount: '100' });
+        expect(accountDelete.Destination).toBe(taker.address);
+    });
+
+    test('destination escrows cannot be cancelled publicly', async () => {
+        const escrowId = await fundedEscrow('dst');
+        server.clock.advance(3600 * 24);
+        const response = await request(app).post(`/escrow/${escrowId}/public-cancel`)
+            .send({ callerAddress: maker.address });
+        expect(response.status).toBe(400);
+        expect(response.body.error).toBe('Public cancellation is only available for source escrows');
+        expect(server.findEscrow(escrowId).status).toBe('funded');
+    });
+
+    test('rescue waits for the escrow to settle and is journaled as a payout', async () => {
+        const escrowId = await fundedEscrow();
+        const rescue = async () => {
+            const { body } = await request(app).post('/auth/challenge');
+            return request(app).post(`/escrow/${escrowId}/rescue`).send({
+                callerAddress: taker.address,
+                amount: '100',
+                auth: signAuthRequest(taker, { action: 'rescue', escrowId, nonce: body.nonce, amount: '100' })
+            });
+        };
+
+        const early = await rescue();
+        expect(early.status).toBe(400);
+        expect(early.body.error).toBe('Escrow is funded, rescue needs a withdrawn or cancelled escrow');
+        expect(client.payments).toHaveLength(0);
+
+        const withdrawn = await request(app).post(`/escrow/${escrowId}/withdraw`)
+            .send({ secret: SECRET, ...await signed(escrowId, 'withdraw') });
+        expect(withdrawn.status).toBe(200);
+        server.clock.advance(86400 * 7 + 1);
+        const rescued = await rescue();
+        expect(rescued.status).toBe(200);
+        expect(rescued.body.receipt.payload.event).toBe('rescued');
+        expect(client.payments).toContainEqual({ to: taker.address, amount: '100' });
+        expect(server.payouts.get(`${escrowId}:rescue:0`).status).toBe('done');
+        expect(server.findEscrow(escrowId).rescueTxs).toEqual([{ txHash: rescued.body.txHash, amount: '100' }]);
+    });
+
+    test('webhooks are signed over their url and registered by escrow participants only', async () => {
+        const url = 'https://backoffice.example.com/tee-events';
+        const register = async (wallet, fields) => {
+            const { body } = await request(app).post('/auth/challenge');
+            return request(app).post('/webhooks').send({
+                url,
+                callerAddress: wallet.address,
+                auth: signAuthRequest(wallet, { action: 'webhook', nonce: body.nonce, ...fields })
+            });
+        };
+
+        const stranger = await register(xrpl.Wallet.generate(), { resource: url });
+        expect(stranger.status).toBe(403);
+        expect(stranger.body.error).toBe('Only the maker or taker of an escrow can register webhooks');
+
+        await fundedEscrow();
+        const urlAsEscrowId = await register(taker, { escrowId: url });
+        expect(urlAsEscrowId.status).toBe(401);
+        const registered = await register(taker, { resource: url });
+        expect(registered.status).toBe(201);
+        expect(registered.body).toMatchObject({ url, owner: taker.address });
+    });
+
+    test('the escrow id is the immutables hash and other variants of it conflict', async () => {
+        const body = {
+            orderHash: '0x' + 'ee'.repeat(32),
+            hashlock: keccak256(SECRET),
+            maker: maker.address,
+            taker: taker.address,
+            amount: '500',
+            safetyDeposit: '10',
+            token: XRP,
+            timelocks: packTimelocks([0, 10, 50, 60, 0, 10, 50])
+        };
+        const created = await request(app).post('/escrow/create-src').send(body);
+        const repeated = await request(app).post('/escrow/create-src').send(body);
+        const native = await request(app).post('/escrow/create-src').send({ ...body, mode: 'native' });
+
+        expect(created.status).toBe(200);
+        expect(created.body.escrowId).toBe(hashImmutables({ ...body, amount: 500n }));
+        expect(repeated.body.escrowId).toBe(created.body.escrowId);
+        expect(native.status).toBe(409);
+        expect(native.body.error).toMatch(/with a different mode, hashAlgorithm$/);
+        expect(server.findEscrow(created.body.escrowId).mode).toBe('custodial');
+    });
+});
+
+describe('server configured from the environment', () => {
+    let dataDir;
+    let server;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'escrow-env-'));
+        server = null;
+    });
+
+    afterEach(() => {
+        server?.store.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('unset variables keep the defaults and funding schedules the default actions', async () => {
+        server = new XRPLEscrowTEE(XRPLEscrowTEE.configFromEnv({ ESCROW_DATA_DIR: dataDir, CLOCK_SOURCE: 'test' }));
+        expect(server.config.autoActions).toEqual(['cancel', 'withdraw', 'reclaim']);
+        expect(server.config.idempotencyTtl).toBe(24 * 3600);
+        expect(server.config.maxFee).toBe(2000);
+
+        const client = mockLedger();
+        await connect(server, client);
+        server.expectedDepositors = () => [taker.address];
+        const events = [];
+        server.eventLog.on('event', event => events.push(event.type));
+
+        const escrowId = await fundEscrow(server.app, client, 'src');
+        expect(events).toContain('funded');
+        expect(server.scheduler.list({ escrowId }).map(job => job.action).sort()).toEqual(['cancel', 'withdraw']);
+    });
+
+    test('an empty AUTO_ACTIONS disables the scheduler actions', () => {
+        server = new XRPLEscrowTEE(XRPLEscrowTEE.configFromEnv({ ESCROW_DATA_DIR: dataDir, AUTO_ACTIONS: '' }));
+        expect(server.config.autoActions).toEqual([]);
+    });
+
+    test('unknown auto actions are rejected', () => {
+        expect(() => new XRPLEscrowTEE(XRPLEscrowTEE.configFromEnv({ ESCROW_DATA_DIR: dataDir, AUTO_ACTIONS: 'cancel,refund' })))
+            .toThrow('Unknown auto actions: refund');
+    });
+});
@@ -0,0 +1,114 @@
+const { EscrowLocks, canTransition, transitionEscrow } = require('../escrowState');
+
+const deferred = () => {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+};
+
+describe('escrow state machine', () => {
+    test('allows the lifecycle of a withdrawal and a cancellation', () => {
+        const withdrawn = { id: 'a', status: 'created' };
+        for (const status of ['funded', 'withdrawing', 'withdrawn']) {
+            transitionEscrow(withdrawn, status);
+        }
+        expect(withdrawn.status).toBe('withdrawn');
+
+        const cancelled = { id: 'b', status: 'funded' };
+        transitionEscrow(cancelled, 'cancelling');
+        transitionEscrow(cancelled, 'cancelled');
+        expect(cancelled.status).toBe('cancelled');
+    });
+
+    test('returns to funded after a failed payout', () => {
+        expect(canTransition('withdrawing', 'funded')).toBe(true);
+        expect(canTransition('cancelling', 'funded')).toBe(true);
+    });
+
+    test.each([
+        ['created', 'withdrawing'],
+        ['funded', 'withdrawn'],
+        ['funded', 'cancelled'],
+        ['withdrawing', 'cancelling'],
+        ['cancelling', 'withdrawing'],
+        ['withdrawing', 'withdrawing'],
+        ['withdrawn', 'cancelling'],
+        ['cancelled', 'funded'],
+        ['unknown', 'funded']
+    ])('rejects %s -> %s', (from, to) => {
+        const escrow = { id: 'c', status: from };
+        expect(() => transitionEscrow(escrow, to)).toThrow(`cannot go from ${from} to ${to}`);
+        expect(escrow.status).toBe(from);
+    });
+});
+
+describe('EscrowLocks', () => {
+    test('runs calls for the same escrow one at a time, in order', async () => {
+        const locks = new EscrowLocks();
+        const gate = deferred();
+        const order = [];
+        const first = locks.run('a', async () => {
+            order.push('first start');
+            await gate.promise;
+            order.push('first end');
+        });
+        const second = locks.run('a', async () => {
+            order.push('second');
+        });
+
+        await new Promise(resolve => setImmediate(resolve));
+        expect(order).toEqual(['first start']);
+        expect(locks.isLocked('a')).toBe(true);
+
+        gate.resolve();
+        await Promise.all([first, second]);
+        expect(order).toEqual(['first start', 'first end', 'second']);
+    });
+
+    test('does not block other escrows', async () => {
+        const locks = new EscrowLocks();
+        const gate = deferred();
+        const blocked = locks.run('a', () => gate.promise);
+        await expect(locks.run('b', async () => 'done')).resolves.toBe('done');
+        gate.resolve();
+        await blocked;
+    });
+
+    test('continues with the next call after a failure and releases the lock', async () => {
+        const locks = new EscrowLocks();
+        const failed = locks.run('a', async () => {
+            throw new Error('payout failed');
+        });
+        const next = locks.run('a', async () => 'next');
+
+        await expect(failed).rejects.toThrow('payout failed');
+        await expect(next).resolves.toBe('next');
+        await new Promise(resolve => setImmediate(resolve));
+        expect(locks.isLocked('a')).toBe(false);
+    });
+
+    test('a check and change cannot interleave', async () => {
+        const locks = new EscrowLocks();
+        const escrow = { id: 'a', status: 'funded' };
+        const payouts = [];
+        const withdraw = (kind, to) => locks.run(escrow.id, async () => {
+            if (!canTransition(escrow.status, to)) {
+                return false;
+            }
+            transitionEscrow(escrow, to);
+            await new Promise(resolve => setTimeout(resolve, 5)); // ledger round trip
+            payouts.push(kind);
+            transitionEscrow(escrow, to === 'withdrawing' ? 'withdrawn' : 'cancelled');
+            return true;
+        });
+
+        const results = await Promise.all([
+            withdraw('withdraw', 'withdrawing'),
+            withdraw('withdraw', 'withdrawing'),
+            withdraw('cancel', 'cancelling')
+        ]);
+        expect(results).toEqual([true, false, false]);
+        expect(payouts).toEqual(['withdraw']);
+        expect(escrow.status).toBe('withdrawn');
+    });
+});
@@ -0,0 +1,65 @@
+const { FeeModel } = require('../fees');
+
+// Node answering server_info and fee like a mainnet node with 1 XRP base and 0.2 XRP owner reserve
+function node({ openLedgerFee = '10' } = {}) {
+    return {
+        request: async ({ command }) => {
+            if (command === 'server_info') {
+                return { result: { info: { validated_ledger: { reserve_base_xrp: 1, reserve_inc_xrp: 0.2 } } } };
+            }
+            if (command === 'fee') {
+                return { result: { drops: { base_fee: '10', open_ledger_fee: openLedgerFee } } };
+            }
+            throw new Error(`Unexpected command ${command}`);
+        }
+    };
+}
+
+const XRP = '0x0000000000000000000000000000000000000000';
+const USD = { currency: 'USD', issuer: 'rPT1Sjq2YGrBMTttX4GZHjKu9dyfzbpAYe' };
+
+describe('FeeModel', () => {
+    test('reads reserves from server_info in drops', async () => {
+        const fees = new FeeModel({ client: node() });
+        await expect(fees.reserves()).resolves.toEqual({ baseReserve: 1000000n, ownerReserve: 200000n });
+    });
+
+    test('quotes the base reserve and payout fees of an XRP escrow at the cap', async () => {
+        const fees = new FeeModel({ client: node(), maxFee: 1000 });
+        // Two payout transactions, the reclaim refund and AccountDelete, which costs one owner reserve
+        await expect(fees.quote({ token: XRP, mode: 'custodial' })).resolves.toEqual({
+            reserve: 1000000n,
+            fees: 3n * 1000n + 200000n
+        });
+    });
+
+    test('adds an owner reserve and trust line fees for issued currencies', async () => {
+        const fees = new FeeModel({ client: node(), maxFee: 1000 });
+        await expect(fees.quote({ token: USD, mode: 'custodial' })).resolves.toEqual({
+            reserve: 1200000n,
+            fees: 5n * 1000n + 200000n
+        });
+    });
+
+    test('covers the fulfillment cost of a native EscrowFinish', async () => {
+        const fees = new FeeModel({ client: node(), maxFee: 1000 });
+        const { reserve, fees: quoted } = await fees.quote({ token: XRP, mode: 'native' });
+        expect(reserve).toBe(1200000n);
+        // EscrowCreate, EscrowFinish with a 36 byte fulfillment (36 units), the safety deposit and the reclaim refund
+        expect(quoted).toBe((1n + 36n + 1n + 1n) * 1000n + 200000n);
+    });
+
+    test('prices transactions from the open ledger fee', async () => {
+        const fees = new FeeModel({ client: node({ openLedgerFee: '25' }) });
+        await expect(fees.transactionFee({ TransactionType: 'Payment' })).resolves.toBe('25');
+        await expect(fees.transactionFee({ TransactionType: 'EscrowFinish', Fulfillment: 'A0228020' + '00'.repeat(32) }))
+            .resolves.toBe(String(25 * 36));
+        await expect(fees.transactionFee({ TransactionType: 'AccountDelete' })).resolves.toBe('200000');
+    });
+
+    test('refuses to pay above the cap', async () => {
+        const fees = new FeeModel({ client: node({ openLedgerFee: '5000' }), maxFee: 2000 });
+        await expect(fees.transactionFee({ TransactionType: 'Payment' })).rejects.toThrow('above the cap of 2000 drops');
+        await expect(fees.quote({ token: XRP })).rejects.toThrow('above the cap');
+    });
+});
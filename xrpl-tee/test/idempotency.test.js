@@ -0,0 +1,128 @@
+const express = require('express');
+const request = require('supertest');
+const { IdempotencyKeys } = require('../idempotency');
+
+// Sealing is the key manager's job, these tests only need it to round trip
+const keyManager = {
+    seal: secret => ({ sealed: 1, data: Buffer.from(secret).toString('hex') }),
+    unseal: sealed => Buffer.from(sealed.data, 'hex')
+};
+
+function testApp(keys) {
+    const app = express();
+    const calls = { withdraw: 0, flaky: 0 };
+    const gates = [];
+    app.use(express.json());
+    app.use(keys.middleware());
+    app.post('/withdraw', (req, res) => {
+        calls.withdraw += 1;
+        res.json({ txHash: `TX${calls.withdraw}`, secret: req.body.secret });
+    });
+    app.post('/slow', async (req, res) => {
+        await new Promise(resolve => gates.push(resolve));
+        res.json({ done: true });
+    });
+    app.post('/flaky', (req, res) => {
+        calls.flaky += 1;
+        if (calls.flaky === 1) {
+            return res.status(500).json({ error: 'ledger unavailable' });
+        }
+        res.json({ attempt: calls.flaky });
+    });
+    app.post('/invalid', (req, res) => res.status(400).json({ error: 'Escrow not funded' }));
+    return { app, calls, gates };
+}
+
+describe('IdempotencyKeys', () => {
+    let keys;
+
+    beforeEach(() => {
+        keys = new IdempotencyKeys({ collection: new Map(), keyManager });
+    });
+
+    test('replays the stored response for a duplicate key', async () => {
+        const { app, calls } = testApp(keys);
+        const first = await request(app).post('/withdraw').set('Idempotency-Key', 'k1').send({ secret: '0x01' });
+        const second = await request(app).post('/withdraw').set('Idempotency-Key', 'k1').send({ secret: '0x01' });
+
+        expect(calls.withdraw).toBe(1);
+        expect(second.status).toBe(200);
+        expect(second.body).toEqual(first.body);
+        expect(second.headers['idempotent-replayed']).toBe('true');
+        expect(first.headers['idempotent-replayed']).toBeUndefined();
+    });
+
+    test('replays client errors too', async () => {
+        const { app } = testApp(keys);
+        await request(app).post('/invalid').set('Idempotency-Key', 'k1').send({});
+        const replayed = await request(app).post('/invalid').set('Idempotency-Key', 'k1').send({});
+        expect(replayed.status).toBe(400);
+        expect(replayed.headers['idempotent-replayed']).toBe('true');
+    });
+
+    test('runs requests without a key every time', async () => {
+        const { app, calls } = testApp(keys);
+        await request(app).post('/withdraw').send({ secret: '0x01' });
+        await request(app).post('/withdraw').send({ secret: '0x01' });
+        expect(calls.withdraw).toBe(2);
+    });
+
+    test('rejects a key reused for another request', async () => {
+        const { app, calls } = testApp(keys);
+        await request(app).post('/withdraw').set('Idempotency-Key', 'k1').send({ secret: '0x01' });
+        const otherBody = await request(app).post('/withdraw').set('Idempotency-Key', 'k1').send({ secret: '0x02' });
+        const otherRoute = await request(app).post('/invalid').set('Idempotency-Key', 'k1').send({ secret: '0x01' });
+        const otherCaller = await request(app).post('/withdraw').set('Idempotency-Key', 'k1')
+            .set('Authorization', 'Bearer someone-else').send({ secret: '0x01' });
+
+        expect([otherBody.status, otherRoute.status, otherCaller.status]).toEqual([422, 422, 422]);
+        expect(calls.withdraw).toBe(1);
+    });
+
+    test('answers 409 while the first request is still running', async () => {
+        const { app, gates } = testApp(keys);
+        const first = request(app).post('/slow').set('Idempotency-Key', 'k1').send({}).then(response => response);
+        while (gates.length === 0) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+
+        const duplicate = await request(app).post('/slow').set('Idempotency-Key', 'k1').send({});
+        expect(duplicate.status).toBe(409);
+        expect(duplicate.headers['retry-after']).toBe('1');
+
+        gates[0]();
+        expect((await first).status).toBe(200);
+        const replayed = await request(app).post('/slow').set('Idempotency-Key', 'k1').send({});
+        expect(replayed.headers['idempotent-replayed']).toBe('true');
+    });
+
+    test('runs the request again after a server error', async () => {
+        const { app, calls } = testApp(keys);
+        const failed = await request(app).post('/flaky').set('Idempotency-Key', 'k1').send({});
+        const retried = await request(app).post('/flaky').set('Idempotency-Key', 'k1').send({});
+        expect(failed.status).toBe(500);
+        expect(retried.body).toEqual({ attempt: 2 });
+        expect(calls.flaky).toBe(2);
+    });
+
+    test('rejects empty and oversized keys', async () => {
+        const { app } = testApp(keys);
+        const empty = await request(app).post('/withdraw').set('Idempotency-Key', '').send({});
+        const long = await request(app).post('/withdraw').set('Idempotency-Key', 'k'.repeat(256)).send({});
+        expect([empty.status, long.status]).toEqual([400, 400]);
+    });
+
+    test('forgets keys after the ttl and requests interrupted by a restart', async () => {
+        const { app, calls } = testApp(keys);
+        await request(app).post('/withdraw').set('Idempotency-Key', 'k1').send({ secret: '0x01' });
+        keys.keys.set('k2', { key: 'k2', status: 'processing', createdAt: Math.floor(Date.now() / 1000) });
+
+        keys.recover();
+        expect(keys.keys.has('k2')).toBe(false);
+
+        jest.spyOn(Date, 'now').mockReturnValue(Date.now() + (keys.ttl + 1) * 1000);
+        await request(app).post('/withdraw').set('Idempotency-Key', 'k1').send({ secret: '0x01' });
+        jest.restoreAllMocks();
+        expect(calls.withdraw).toBe(2);
+    });
+});
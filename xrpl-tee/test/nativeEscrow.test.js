@@ -0,0 +1,22 @@
+const xrpl = require('xrpl');
+const { buildEscrowCreate } = require('../nativeEscrow');
+
+const params = {
+    amount: 500n,
+    destination: xrpl.Wallet.generate().address,
+    hashlock: '0x' + 'ab'.repeat(32),
+    finishAfter: 1000,
+    cancelAfter: 2000
+};
+
+describe('native escrow transactions', () => {
+    test('EscrowCreate times are checked against the given clock, not the host', () => {
+        const tx = buildEscrowCreate({ ...params, now: 500 });
+        expect(tx.FinishAfter).toBe(xrpl.unixTimeToRippleTime(1000 * 1000));
+        expect(tx.CancelAfter).toBe(xrpl.unixTimeToRippleTime(2000 * 1000));
+
+        expect(buildEscrowCreate({ ...params, now: 1500 }).FinishAfter).toBeUndefined();
+        expect(() => buildEscrowCreate({ ...params, now: 2000 }))
+            .toThrow('Cancellation time has passed, the escrow can no longer be locked on ledger');
+    });
+});
@@ -0,0 +1,35 @@
+const { Wallet } = require('ethers');
+const { buildReceiptPayload, signReceipt, verifyReceipt } = require('../receipts');
+
+// Stands in for the key manager's identity key
+const identity = Wallet.createRandom();
+const keyManager = {
+    signWithIdentity: message => identity.signMessageSync(message),
+    identity: () => ({ address: identity.address })
+};
+
+const escrow = {
+    id: '0x' + 'ab'.repeat(32),
+    orderHash: '0x' + '01'.repeat(32),
+    hashlock: '0x' + '02'.repeat(32),
+    maker: 'rMaker',
+    taker: 'rTaker',
+    token: '0x0000000000000000000000000000000000000000',
+    amount: 500n,
+    safetyDeposit: 10n,
+    timelocks: {},
+    status: 'funded'
+};
+
+describe('receipts', () => {
+    const receipt = signReceipt(keyManager, buildReceiptPayload(escrow, 'funded'));
+
+    test('verifies against the expected signer', () => {
+        expect(verifyReceipt(receipt, identity.address).escrowId).toBe(escrow.id);
+        expect(() => verifyReceipt(receipt, Wallet.createRandom().address)).toThrow('expected TEE identity');
+    });
+
+    test('fails closed without an expected signer', () => {
+        expect(() => verifyReceipt(receipt, undefined)).toThrow('No attested or pinned TEE identity');
+    });
+});
@@ -0,0 +1,86 @@
+const { WebhookDispatcher } = require('../webhooks');
+
+// Sealing is the key manager's job, these tests only need it to round trip
+const keyManager = {
+    seal: secret => ({ sealed: 1, data: Buffer.from(secret).toString('hex') }),
+    unseal: sealed => Buffer.from(sealed.data, 'hex')
+};
+
+const event = (id, type = 'funded') => ({ id, type, escrowId: '0x01', maker: 'rMaker', taker: 'rTaker', orderHash: '0x02' });
+
+describe('WebhookDispatcher', () => {
+    let dispatcher;
+
+    beforeEach(() => {
+        dispatcher = new WebhookDispatcher({ webhooks: new Map(), deliveries: new Map(), keyManager });
+    });
+
+    test('only accepts https urls of public hosts', () => {
+        for (const url of [
+            'http://backoffice.example.com/hook',
+            'https://localhost/hook',
+            'https://127.0.0.1/hook',
+            'https://10.1.2.3/hook',
+            'https://169.254.169.254/latest/meta-data',
+            'https://[::1]/hook',
+            'https://[fd00::1]/hook',
+            'https://[::ffff:127.0.0.1]/hook'
+        ]) {
+            expect(() => dispatcher.register({ url, owner: 'rOwner' })).toThrow(/https|not public/);
+        }
+        expect(dispatcher.register({ url: 'https://backoffice.example.com/hook', owner: 'rOwner' }).secret).toHaveLength(64);
+    });
+
+    test('allows private targets in development', () => {
+        dispatcher.allowPrivateTargets = true;
+        expect(dispatcher.register({ url: 'http://127.0.0.1:8080/hook', owner: 'rOwner' }).url).toBe('http://127.0.0.1:8080/hook');
+    });
+
+    test('limits webhooks per owner and in total', () => {
+        for (let i = 0; i < 5; i++) {
+            dispatcher.register({ url: `https://hooks.example.com/${i}`, owner: 'rOwner' });
+        }
+        expect(() => dispatcher.register({ url: 'https://hooks.example.com/6', owner: 'rOwner' }))
+            .toThrow('At most 5 webhooks per account');
+
+        dispatcher.maxWebhooks = 6;
+        dispatcher.register({ url: 'https://hooks.example.com/6', owner: 'rOther' });
+        expect(() => dispatcher.register({ url: 'https://hooks.example.com/7', owner: 'rThird' }))
+            .toThrow('Webhook limit reached');
+    });
+
+    test('dead-letters the oldest deliveries when the backlog is full', () => {
+        dispatcher.maxPending = 2;
+        const { id } = dispatcher.register({ url: 'https://hooks.example.com/down', owner: 'rOwner' });
+        [1, 2, 3].forEach(n => dispatcher.dispatch(event(n)));
+
+        expect(dispatcher.deliveriesOf(id, 'pending').map(delivery => delivery.eventId)).toEqual([3, 2]);
+        const [dead] = dispatcher.deliveriesOf(id, 'dead');
+        expect(dead.eventId).toBe(1);
+        expect(dead.lastError).toBe('Delivery backlog full');
+    });
+
+    test('drops dead-lettered deliveries after the retention', () => {
+        const { id } = dispatcher.register({ url: 'https://hooks.example.com/down', owner: 'rOwner' });
+        dispatcher.dispatch(event(1));
+        const [delivery] = dispatcher.deliveriesOf(id);
+        dispatcher.deadLetter(delivery, 'Endpoint answered 500');
+
+        dispatcher.trim();
+        expect(dispatcher.deliveries.size).toBe(1);
+        delivery.deadAt -= dispatcher.deadRetention + 1;
+        dispatcher.trim();
+        expect(dispatcher.deliveries.size).toBe(0);
+    });
+
+    test('refuses to deliver to a literal non-public address', async () => {
+        dispatcher.allowPrivateTargets = true;
+        const { id } = dispatcher.register({ url: 'http://127.0.0.1:9/hook', owner: 'rOwner' });
+        dispatcher.allowPrivateTargets = false;
+        dispatcher.dispatch(event(1));
+        const [delivery] = dispatcher.deliveriesOf(id);
+
+        await dispatcher.attempt(delivery.id);
+        expect(delivery.lastError).toBe('Webhook address 127.0.0.1 is not public');
+    });
+});
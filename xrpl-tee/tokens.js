@@ -0,0 +1,85 @@
+const xrpl = require('xrpl');
+const BigNumber = require('bignumber.js');
+
+// The EVM zero address stands for native XRP, as on the EVM side for ETH
+const XRP_TOKEN = '0x0000000000000000000000000000000000000000';
+// Issued currency amounts carry at most 15 significant digits
+const IOU_PRECISION = 15;
+
+function isXrp(token) {
+    return !token || token === XRP_TOKEN || token === 'XRP';
+}
+
+/**
+ * Validate a token descriptor from a request.
+ * XRP is the zero address (or 'XRP'), issued currencies are `{ currency, issuer }` with a
+ * three letter code or a 40 hex digit currency code.
+ * @returns {string|Object} XRP_TOKEN or a normalized `{ currency, issuer }`
+ */
+function parseToken(token) {
+    if (isXrp(token)) {
+        return XRP_TOKEN;
+    }
+    if (typeof token !== 'object' || !token.currency || !token.issuer) {
+        throw new Error('Token must be the zero address for XRP or { currency, issuer }');
+    }
+
+    const currency = String(token.currency);
+    const isStandardCode = /^[A-Za-z0-9?!@#$%^&*<>(){}[\]|]{3}$/.test(currency) && currency.toUpperCase() !== 'XRP';
+    const isHexCode = /^[0-9A-Fa-f]{40}$/.test(currency) && !/^00/.test(currency);
+    if (!isStandardCode && !isHexCode) {
+        throw new Error(`Invalid currency code: ${currency}`);
+    }
+    if (!xrpl.isValidClassicAddress(token.issuer)) {
+        throw new Error(`Invalid issuer address: ${token.issuer}`);
+    }
+    return {
+        currency: isHexCode ? currency.toUpperCase() : currency,
+        issuer: token.issuer
+    };
+}
+
+// Escrow amount as stored: BigInt drops for XRP, a decimal string for issued currencies
+function parseAmount(token, amount) {
+    if (isXrp(token)) {
+        return BigInt(amount);
+    }
+    const value = new BigNumber(amount);
+    if (!value.isFinite() || value.lte(0) || value.precision(true) > IOU_PRECISION) {
+        throw new Error(`Invalid issued currency amount: ${amount}`);
+    }
+    return value.toFixed();
+}
+
+// Amount field of a Payment moving the escrow amount
+function toXrplAmount(token, amount) {
+    if (isXrp(token)) {
+        return amount.toString();
+    }
+    return { currency: token.currency, issuer: token.issuer, value: amount.toString() };
+}
+
+function sameToken(token, xrplAmount) {
+    return typeof xrplAmount === 'object' &&
+        xrplAmount.currency === token.currency &&
+        xrplAmount.issuer === token.issuer;
+}
+
+function sumValues(values) {
+    return values.reduce((sum, value) => sum.plus(value), new BigNumber(0)).toFixed();
+}
+
+function compareValues(a, b) {
+    return new BigNumber(a).comparedTo(b);
+}
+
+module.exports = {
+    XRP_TOKEN,
+    compareValues,
+    isXrp,
+    parseAmount,
+    parseToken,
+    sameToken,
+    sumValues,
+    toXrplAmount
+};
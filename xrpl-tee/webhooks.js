@@ -0,0 +1,399 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_BASE_DELAY = 1000; // ms, doubled after every failed attempt
+const DEFAULT_MAX_DELAY = 3600 * 1000;
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_RETENTION = 10000; // delivered records kept for the delivery log
+const DEFAULT_DEAD_RETENTION = 7 * 24 * 3600; // seconds dead-lettered records are kept for redelivery
+const DEFAULT_MAX_PENDING = 1000; // undelivered events queued per webhook, older ones are dead-lettered
+const DEFAULT_MAX_WEBHOOKS = 1000;
+const DEFAULT_MAX_WEBHOOKS_PER_OWNER = 5;
+
+// Loopback, private, link-local, shared, multicast and reserved ranges the TEE must not POST to
+const NON_PUBLIC_RANGES = new net.BlockList();
+for (const [prefix, bits] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    NON_PUBLIC_RANGES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    NON_PUBLIC_RANGES.addSubnet(prefix, bits, 'ipv6');
+}
+
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && !NON_PUBLIC_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// dns.lookup that refuses names resolving to non-public addresses, so a registered host
+// cannot be pointed at the enclave's network later
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error);
+        }
+        const blocked = (Array.isArray(address) ? address : [{ address }]).find(entry => !isPublicAddress(entry.address));
+        if (blocked) {
+            return callback(new Error(`Webhook host ${hostname} resolves to the non-public address ${blocked.address}`));
+        }
+        callback(null, address, family);
+    });
+}
+
+/**
+ * HMAC-SHA256 signature of a webhook body, sent as `X-TEE-Signature: sha256=<hex>`.
+ * The timestamp is signed with the body so a captured request cannot be replayed later.
+ * @param {Buffer|string} secret - Webhook secret
+ * @param {string} timestamp - Unix seconds, sent as `X-TEE-Timestamp`
+ * @param {string} body - Raw request body
+ * @returns {string} Hex encoded signature
+ */
+function signWebhook(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Check a webhook request on the receiving side, in constant time
+ * @returns {boolean} True if the signature header matches
+ */
+function verifyWebhook(secret, timestamp, body, signatureHeader) {
+    const expected = Buffer.from(`sha256=${signWebhook(secret, timestamp, body)}`);
+    const received = Buffer.from(String(signatureHeader || ''));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// POST a JSON body, resolves with the status code of any response
+function postJson(url, body, headers, timeout, allowPrivateTargets) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const host = target.hostname.replace(/^\[|\]$/g, '');
+        if (!allowPrivateTargets && net.isIP(host) && !isPublicAddress(host)) {
+            return reject(new Error(`Webhook address ${host} is not public`));
+        }
+        const req = (target.protocol === 'https:' ? https : http).request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                ...headers
+            },
+            timeout,
+            lookup: allowPrivateTargets ? undefined : publicLookup
+        }, (res) => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        });
+        req.on('timeout', () => req.destroy(new Error(`No response within ${timeout} ms`)));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * Delivers escrow lifecycle events to registered webhook URLs.
+ *
+ * Registrations and deliveries are kept in store collections so both survive restarts.
+ * Every matching event becomes a delivery that is retried with exponential backoff until
+ * the endpoint answers 2xx; after `maxAttempts` failures it is dead-lettered and kept
+ * until redelivered by hand. Webhook secrets are sealed by the key manager.
+ */
+class WebhookDispatcher {
+    constructor(config = {}) {
+        if (!config.webhooks || !config.deliveries || !config.keyManager) {
+            throw new Error('WebhookDispatcher requires webhook and delivery collections and a key manager');
+        }
+        this.webhooks = config.webhooks;
+        this.deliveries = config.deliveries;
+        this.keyManager = config.keyManager;
+        this.maxAttempts = config.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+        this.baseDelay = config.baseDelay || DEFAULT_BASE_DELAY;
+        this.maxDelay = config.maxDelay || DEFAULT_MAX_DELAY;
+        this.timeout = config.timeout || DEFAULT_TIMEOUT;
+        this.retention = config.retention || DEFAULT_RETENTION;
+        this.deadRetention = config.deadRetention || DEFAULT_DEAD_RETENTION;
+        this.maxPending = config.maxPending || DEFAULT_MAX_PENDING;
+        this.maxWebhooks = config.maxWebhooks || DEFAULT_MAX_WEBHOOKS;
+        this.maxWebhooksPerOwner = config.maxWebhooksPerOwner || DEFAULT_MAX_WEBHOOKS_PER_OWNER;
+        // Development only: plain http and loopback or private network targets
+        this.allowPrivateTargets = config.allowPrivateTargets || false;
+        this.timers = new Map(); // delivery id -> retry timer
+        this.started = false;
+    }
+
+    // Resume deliveries that were pending when the server stopped
+    start() {
+        this.started = true;
+        this.trim();
+        for (const delivery of this.deliveries.values()) {
+            if (delivery.status === 'pending') {
+                this.schedule(delivery);
+            }
+        }
+    }
+
+    stop() {
+        this.started = false;
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+    }
+
+    /**
+     * Register a webhook
+     * @param {Object} registration - { url, owner, maker, taker, orderHash, types }, filters optional,
+     *   `owner` is the authenticated account registering it
+     * @returns {Object} The webhook, with its secret (only returned here)
+     * @throws {Error} If the url is not an allowed target or a registration limit is reached
+     */
+    register({ url, owner, maker, taker, orderHash, types }) {
+        let target;
+        try {
+            target = new URL(url);
+        } catch (error) {
+            throw new Error(`Invalid webhook url: ${url}`);
+        }
+        this.checkTarget(target);
+        if (types !== undefined && (!Array.isArray(types) || !types.every(type => typeof type === 'string'))) {
+            throw new Error('types must be an array of event types');
+        }
+        if (this.webhooks.size >= this.maxWebhooks) {
+            throw new Error('Webhook limit reached');
+        }
+        const owned = [...this.webhooks.values()].filter(webhook => webhook.owner === owner).length;
+        if (owned >= this.maxWebhooksPerOwner) {
+            throw new Error(`At most ${this.maxWebhooksPerOwner} webhooks per account`);
+        }
+
+        const secret = crypto.randomBytes(32).toString('hex');
+        const webhook = {
+            id: crypto.randomUUID(),
+            url: target.toString(),
+            owner,
+            filter: {
+                maker: maker || null,
+                taker: taker || null,
+                orderHash: orderHash ? String(orderHash).toLowerCase() : null
+            },
+            types: types || null,
+            sealedSecret: this.keyManager.seal(secret),
+            createdAt: Math.floor(Date.now() / 1000)
+        };
+        this.webhooks.set(webhook.id, webhook);
+        return { ...this.publicWebhook(webhook), secret };
+    }
+
+    // Only https to public hosts, unless private targets are allowed for development
+    checkTarget(target) {
+        if (this.allowPrivateTargets) {
+            if (target.protocol !== 'https:' && target.protocol !== 'http:') {
+                throw new Error('Webhook url must be http or https');
+            }
+            return;
+        }
+        if (target.protocol !== 'https:') {
+            throw new Error('Webhook url must be https');
+        }
+        const host = target.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+        if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && !isPublicAddress(host))) {
+            throw new Error(`Webhook host ${host} is not public`);
+        }
+    }
+
+    // Drop a webhook and its delivery log
+    unregister(webhookId) {
+        for (const delivery of [...this.deliveries.values()]) {
+            if (delivery.webhookId === webhookId) {
+                clearTimeout(this.timers.get(delivery.id));
+                this.timers.delete(delivery.id);
+                this.deliveries.delete(delivery.id);
+            }
+        }
+        this.webhooks.delete(webhookId);
+    }
+
+    // Check the bearer secret of a webhook's owner
+    authorize(webhook, secret) {
+        const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+        return crypto.timingSafeEqual(digest(this.keyManager.unseal(webhook.sealedSecret)), digest(secret));
+    }
+
+    publicWebhook(webhook) {
+        const { sealedSecret, ...rest } = webhook;
+        return rest;
+    }
+
+    matches(webhook, event) {
+        const { maker, taker, orderHash } = webhook.filter;
+        return (!webhook.types || webhook.types.includes(event.type)) &&
+            (!maker || event.maker === maker) &&
+            (!taker || event.taker === taker) &&
+            (!orderHash || String(event.orderHash).toLowerCase() === orderHash);
+    }
+
+    // Queue an event log entry for every webhook it matches
+    dispatch(event) {
+        const pending = this.pendingByWebhook();
+        for (const webhook of this.webhooks.values()) {
+            if (!this.matches(webhook, event)) {
+                continue;
+            }
+            // An endpoint that stays down does not grow the queue without bound
+            const queued = pending.get(webhook.id) || [];
+            while (queued.length >= this.maxPending) {
+                this.deadLetter(queued.shift(), 'Delivery backlog full');
+            }
+            const delivery = {
+                id: crypto.randomUUID(),
+                webhookId: webhook.id,
+                eventId: event.id,
+                event,
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: Date.now(),
+                lastError: null,
+                lastStatusCode: null,
+                createdAt: Math.floor(Date.now() / 1000)
+            };
+            this.deliveries.set(delivery.id, delivery);
+            this.schedule(delivery);
+        }
+        this.trim();
+    }
+
+    schedule(delivery) {
+        if (!this.started) {
+            return;
+        }
+        clearTimeout(this.timers.get(delivery.id));
+        const timer = setTimeout(() => {
+            this.timers.delete(delivery.id);
+            this.attempt(delivery.id).catch(error => console.error(`Webhook delivery ${delivery.id} failed:`, error));
+        }, Math.max(0, delivery.nextAttemptAt - Date.now()));
+        timer.unref();
+        this.timers.set(delivery.id, timer);
+    }
+
+    async attempt(deliveryId) {
+        const delivery = this.deliveries.get(deliveryId);
+        const webhook = delivery && this.webhooks.get(delivery.webhookId);
+        if (!delivery || !webhook || delivery.status !== 'pending') {
+            return;
+        }
+
+        const body = JSON.stringify(delivery.event);
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const secret = this.keyManager.unseal(webhook.sealedSecret);
+        let error = null;
+        let statusCode = null;
+        try {
+            statusCode = await postJson(webhook.url, body, {
+                'User-Agent': 'xrpl-escrow-tee-webhooks',
+                'X-TEE-Event': delivery.event.type,
+                'X-TEE-Delivery': delivery.id,
+                'X-TEE-Timestamp': timestamp,
+                'X-TEE-Signature': `sha256=${signWebhook(secret, timestamp, body)}`
+            }, this.timeout, this.allowPrivateTargets);
+            if (statusCode < 200 || statusCode >= 300) {
+                error = `Endpoint answered ${statusCode}`;
+            }
+        } catch (requestError) {
+            error = requestError.message;
+        }
+
+        // The webhook may have been removed while the request was in flight
+        if (!this.deliveries.has(deliveryId)) {
+            return;
+        }
+        delivery.attempts += 1;
+        delivery.lastStatusCode = statusCode;
+        delivery.lastError = error;
+        delivery.lastAttemptAt = Math.floor(Date.now() / 1000);
+        if (!error) {
+            delivery.status = 'delivered';
+            delivery.deliveredAt = delivery.lastAttemptAt;
+        } else if (delivery.attempts >= this.maxAttempts) {
+            delivery.status = 'dead';
+            delivery.deadAt = delivery.lastAttemptAt;
+            console.warn(`Webhook delivery ${delivery.id} to ${webhook.url} dead-lettered after ${delivery.attempts} attempts: ${error}`);
+        } else {
+            delivery.nextAttemptAt = Date.now() + Math.min(this.baseDelay * 2 ** (delivery.attempts - 1), this.maxDelay);
+        }
+        this.deliveries.set(delivery.id, delivery);
+        if (delivery.status === 'pending') {
+            this.schedule(delivery);
+        }
+    }
+
+    // Pending deliveries per webhook id, oldest first
+    pendingByWebhook() {
+        const pending = new Map();
+        for (const delivery of this.deliveries.values()) {
+            if (delivery.status === 'pending') {
+                if (!pending.has(delivery.webhookId)) {
+                    pending.set(delivery.webhookId, []);
+                }
+                pending.get(delivery.webhookId).push(delivery);
+            }
+        }
+        return pending;
+    }
+
+    deadLetter(delivery, reason) {
+        clearTimeout(this.timers.get(delivery.id));
+        this.timers.delete(delivery.id);
+        delivery.status = 'dead';
+        delivery.lastError = reason;
+        delivery.deadAt = Math.floor(Date.now() / 1000);
+        this.deliveries.set(delivery.id, delivery);
+    }
+
+    /**
+     * Queue a dead-lettered delivery again, with a fresh set of attempts
+     * @throws {Error} If the delivery is not dead-lettered
+     */
+    redeliver(delivery) {
+        if (delivery.status !== 'dead') {
+            throw new Error(`Only dead-lettered deliveries can be redelivered, this one is ${delivery.status}`);
+        }
+        delivery.status = 'pending';
+        delivery.attempts = 0;
+        delivery.nextAttemptAt = Date.now();
+        this.deliveries.set(delivery.id, delivery);
+        this.schedule(delivery);
+        return delivery;
+    }
+
+    // Delivery log of a webhook, newest first
+    deliveriesOf(webhookId, status) {
+        return [...this.deliveries.values()]
+            .filter(delivery => delivery.webhookId === webhookId && (!status || delivery.status === status))
+            .reverse();
+    }
+
+    // Forget the oldest delivered records beyond `retention` and dead-lettered ones after
+    // `deadRetention`; pending ones are bounded by `maxPending` per webhook
+    trim() {
+        const deadBefore = Math.floor(Date.now() / 1000) - this.deadRetention;
+        let excess = this.deliveries.size - this.retention;
+        for (const delivery of [...this.deliveries.values()]) {
+            const expired = delivery.status === 'dead' && (delivery.deadAt ?? delivery.createdAt) < deadBefore;
+            if (expired || (excess > 0 && delivery.status === 'delivered')) {
+                this.deliveries.delete(delivery.id);
+                excess--;
+            }
+        }
+    }
+}
+
+module.exports = {
+    WebhookDispatcher,
+    signWebhook,
+    verifyWebhook
+};